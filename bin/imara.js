@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * imara command-line entry point
+ *
+ * @see ../lib/cli.js
+ */
+import { run } from '../lib/cli.js';
+run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+}, (error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
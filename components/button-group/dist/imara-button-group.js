@@ -0,0 +1,789 @@
+/**
+ * ImaraButtonGroup - Lays out related buttons as one control
+ *
+ * @element imara-button-group
+ *
+ * @attr {string} mode - Group behavior: none (default), single (exclusive segmented), multiple (multi-select segmented) or split (primary action plus menu)
+ * @attr {string} orientation - Layout and arrow-key axis (horizontal | vertical), default horizontal
+ * @attr {string} label - Accessible name of the group
+ * @attr {string} name - Name submitted with the form in segmented modes
+ * @attr {string} variant - Variant of the split-button menu trigger; match it to the primary button
+ * @attr {string} menu-label - Accessible name of the split-button menu trigger (default "More options")
+ *
+ * @fires button-group-change - Dispatched when the selection of a segmented group changes, with `detail.value` and `detail.values`
+ * @fires button-group-select - Dispatched when a split-button menu item is chosen, with the `detail.item` element and its `detail.value`
+ *
+ * @slot - The grouped buttons; in split mode the primary action
+ * @slot menu - Menu items of the split button (buttons or links)
+ *
+ * @csspart group - Wrapper around the buttons and the split-button trigger
+ * @csspart trigger - Split-button menu trigger
+ * @csspart menu - Split-button menu popup
+ *
+ * @cssprop --button-group-radius - Outer corner radius (defaults to --button-border-radius)
+ * @cssprop --button-group-overlap - Overlap between neighbouring buttons, so outline borders merge
+ * @cssprop --button-group-menu-bg - Background of the split-button menu
+ * @cssprop --button-group-menu-shadow - Box shadow of the split-button menu
+ */
+export class ImaraButtonGroup extends HTMLElement {
+    // Observed attributes for reactivity
+    static get observedAttributes() {
+        return ['mode', 'orientation', 'label', 'name', 'variant', 'menu-label'];
+    }
+    constructor() {
+        super();
+        this.slotElement = null;
+        this.menuSlot = null;
+        this.trigger = null;
+        this.menu = null;
+        this.internals = null;
+        // The item that currently holds the group's single tab stop
+        this.activeItem = null;
+        // Pressed values at first connect, restored when the form resets
+        this.initialValues = [];
+        // Settles once the shadow DOM is built; rendering happens once per element
+        this.rendering = null;
+        /**
+         * Re-applies group state when buttons are added or removed
+         */
+        this.handleSlotChange = () => {
+            this.updateItems();
+        };
+        /**
+         * Applies the segmented selection. imara-btn announces clicks with a
+         * cancelable `button-click` before acting on them; native buttons
+         * only with `click`.
+         */
+        this.handleButtonClick = (event) => {
+            const mode = this.mode;
+            if (mode !== 'single' && mode !== 'multiple')
+                return;
+            const item = this.itemFor(event);
+            if (!item || item === this.trigger || this.isCustomItem(item) !== (event.type === 'button-click'))
+                return;
+            // The group owns the pressed state; the button must not flip it
+            event.preventDefault();
+            if (mode === 'single') {
+                if (this.isPressed(item))
+                    return;
+                for (const other of this.getItems()) {
+                    this.setPressed(other, other === item);
+                }
+            }
+            else {
+                this.setPressed(item, !this.isPressed(item));
+            }
+            this.setActiveItem(item);
+            this.updateFormValue();
+            this.dispatchEvent(new CustomEvent('button-group-change', {
+                bubbles: true,
+                composed: true,
+                detail: { value: this.value, values: this.values }
+            }));
+        };
+        /**
+         * Moves the tab stop with the item that received focus
+         */
+        this.handleFocusIn = (event) => {
+            const item = this.itemFor(event);
+            if (item && item !== this.activeItem) {
+                this.setActiveItem(item);
+            }
+        };
+        /**
+         * Arrow-key navigation between buttons and inside the menu
+         */
+        this.handleKeydown = (event) => {
+            if (this.menuOpen && this.menuItemFor(event)) {
+                this.handleMenuKeydown(event);
+                return;
+            }
+            const items = this.getFocusableItems();
+            const item = this.itemFor(event);
+            const current = items.indexOf(item);
+            if (current === -1)
+                return;
+            if (item === this.trigger && (event.key === 'ArrowDown' || event.key === 'ArrowUp') && this.orientation === 'horizontal') {
+                event.preventDefault();
+                this.showMenu(event.key === 'ArrowUp' ? 'last' : 'first');
+                return;
+            }
+            const next = this.nextIndex(event.key, current, items.length, this.orientation);
+            if (next === null)
+                return;
+            event.preventDefault();
+            this.setActiveItem(items[next]);
+            items[next].focus();
+        };
+        /**
+         * Opens or closes the split-button menu
+         */
+        this.handleTriggerClick = () => {
+            if (this.menuOpen) {
+                this.hideMenu();
+            }
+            else {
+                this.showMenu('first');
+            }
+        };
+        /**
+         * Reports the chosen menu item and closes the menu
+         */
+        this.handleMenuClick = (event) => {
+            const item = this.menuItemFor(event);
+            if (!item || this.isItemDisabled(item))
+                return;
+            this.hideMenu();
+            this.dispatchEvent(new CustomEvent('button-group-select', {
+                bubbles: true,
+                composed: true,
+                detail: { item, value: item.getAttribute('value') ?? item.textContent.trim() }
+            }));
+        };
+        /**
+         * Closes the menu when the pointer goes down outside the group
+         */
+        this.handleOutsidePointer = (event) => {
+            if (!event.composedPath().includes(this)) {
+                this.hideMenu(false);
+            }
+        };
+        // Attach Shadow DOM
+        this.attachShadow({ mode: 'open' });
+        // Form association submits the segmented selection under `name`
+        if ('attachInternals' in this) {
+            this.internals = this.attachInternals();
+        }
+    }
+    /**
+     * Called when element is added to the DOM
+     */
+    async connectedCallback() {
+        if (!this.hasAttribute('role')) {
+            this.setAttribute('role', 'group');
+        }
+        // A reconnected group keeps its shadow DOM and the state a reset restores
+        const firstConnect = !this.rendering;
+        this.rendering ??= this.render();
+        await this.rendering;
+        if (firstConnect) {
+            this.initialValues = this.values;
+        }
+        if (!this.isConnected)
+            return;
+        this.attachEventListeners();
+    }
+    /**
+     * Called when element is removed from the DOM
+     */
+    disconnectedCallback() {
+        this.removeEventListeners();
+        document.removeEventListener('pointerdown', this.handleOutsidePointer);
+    }
+    /**
+     * Called instead of the disconnected and connected callbacks when the
+     * element is moved with `moveBefore()`, which keeps its open menu
+     */
+    connectedMoveCallback() { }
+    /**
+     * Called when observed attributes change
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue)
+            return;
+        if (name === 'label') {
+            if (newValue === null) {
+                this.removeAttribute('aria-label');
+            }
+            else {
+                this.setAttribute('aria-label', newValue);
+            }
+            return;
+        }
+        if (name === 'mode') {
+            this.hideMenu(false);
+        }
+        this.updateItems();
+    }
+    /**
+     * Called when the owner form is reset
+     */
+    formResetCallback() {
+        this.values = this.initialValues;
+    }
+    /**
+     * Called when the browser restores the form after navigation
+     */
+    formStateRestoreCallback(state) {
+        this.values = state instanceof FormData ? state.getAll(this.getAttribute('name') || '').map(String) : [String(state)];
+    }
+    /**
+     * Renders the component template and styles
+     * @internal
+     */
+    async render() {
+        if (!this.shadowRoot)
+            return;
+        const template = await this.getTemplate();
+        const styles = await this.getStyles();
+        this.shadowRoot.innerHTML = '';
+        const styleElement = document.createElement('style');
+        styleElement.textContent = styles;
+        this.shadowRoot.appendChild(styleElement);
+        const templateElement = document.createElement('template');
+        templateElement.innerHTML = template;
+        this.shadowRoot.appendChild(templateElement.content.cloneNode(true));
+        this.slotElement = this.shadowRoot.querySelector('slot:not([name])');
+        this.menuSlot = this.shadowRoot.querySelector('slot[name="menu"]');
+        this.trigger = this.shadowRoot.querySelector('.split-trigger');
+        this.menu = this.shadowRoot.querySelector('.split-menu');
+        this.updateItems();
+    }
+    /**
+     * Loads the HTML template
+     * @internal
+     */
+    async getTemplate() {
+        return `
+      <div class="group" part="group">
+        <slot></slot>
+        <button class="split-trigger" part="trigger" type="button" aria-haspopup="menu" aria-expanded="false" aria-controls="menu">
+          <svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 6l4 4 4-4" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /></svg>
+        </button>
+      </div>
+      <div class="split-menu" part="menu" id="menu" role="menu" hidden>
+        <slot name="menu"></slot>
+      </div>
+    `;
+    }
+    /**
+     * Loads the CSS styles
+     * @internal
+     */
+    async getStyles() {
+        return `
+      :host {
+        display: inline-block;
+        position: relative;
+        vertical-align: middle;
+
+        --button-group-radius: var(--button-border-radius, 6px);
+        --button-group-overlap: -1px;
+        --button-group-menu-bg: #ffffff;
+        --button-group-menu-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+      }
+
+      .group {
+        display: flex;
+        align-items: stretch;
+      }
+
+      :host([orientation="vertical"]) .group {
+        flex-direction: column;
+      }
+
+      /* Merged borders: only the outer corners stay rounded */
+      ::slotted(*) {
+        --button-border-radius: 0;
+        border-radius: 0;
+      }
+
+      ::slotted(:not(:first-child)) {
+        margin-inline-start: var(--button-group-overlap);
+      }
+
+      :host(:not([orientation="vertical"])) ::slotted(:first-child) {
+        --button-border-radius: var(--button-group-radius) 0 0 var(--button-group-radius);
+        border-start-start-radius: var(--button-group-radius);
+        border-end-start-radius: var(--button-group-radius);
+      }
+
+      :host(:not([orientation="vertical"]):not([mode="split"])) ::slotted(:last-child) {
+        --button-border-radius: 0 var(--button-group-radius) var(--button-group-radius) 0;
+        border-start-end-radius: var(--button-group-radius);
+        border-end-end-radius: var(--button-group-radius);
+      }
+
+      :host(:not([orientation="vertical"]):not([mode="split"])) ::slotted(:only-child) {
+        --button-border-radius: var(--button-group-radius);
+      }
+
+      :host([orientation="vertical"]) ::slotted(*) {
+        display: block;
+      }
+
+      :host([orientation="vertical"]) ::slotted(:not(:first-child)) {
+        margin-inline-start: 0;
+        margin-block-start: var(--button-group-overlap);
+      }
+
+      :host([orientation="vertical"]) ::slotted(:first-child) {
+        --button-border-radius: var(--button-group-radius) var(--button-group-radius) 0 0;
+        border-start-start-radius: var(--button-group-radius);
+        border-start-end-radius: var(--button-group-radius);
+      }
+
+      :host([orientation="vertical"]) ::slotted(:last-child) {
+        --button-border-radius: 0 0 var(--button-group-radius) var(--button-group-radius);
+        border-end-start-radius: var(--button-group-radius);
+        border-end-end-radius: var(--button-group-radius);
+      }
+
+      :host([orientation="vertical"]) ::slotted(:only-child) {
+        --button-border-radius: var(--button-group-radius);
+      }
+
+      /* The focused button draws its focus ring above its neighbours */
+      ::slotted(:focus-within),
+      .split-trigger:focus-visible {
+        position: relative;
+        z-index: 1;
+      }
+
+      /* Split-button trigger, themed with the imara-btn variables */
+      .split-trigger {
+        display: none;
+        align-items: center;
+        justify-content: center;
+        margin-inline-start: 1px;
+        padding: 0 10px;
+        border: none;
+        border-radius: 0 var(--button-group-radius) var(--button-group-radius) 0;
+        font: inherit;
+        cursor: pointer;
+        outline: none;
+        transition: var(--button-transition, all 0.2s ease);
+        --trigger-bg: var(--button-primary-bg, #2563eb);
+        --trigger-hover: var(--button-primary-hover, #1d4ed8);
+        --trigger-text: var(--button-primary-text, #ffffff);
+        --trigger-border: transparent;
+        background-color: var(--trigger-bg);
+        color: var(--trigger-text);
+        box-shadow: inset 0 0 0 1px var(--trigger-border);
+      }
+
+      :host([mode="split"]) .split-trigger {
+        display: inline-flex;
+      }
+
+      :host([variant="secondary"]) .split-trigger {
+        --trigger-bg: var(--button-secondary-bg, #6b7280);
+        --trigger-hover: var(--button-secondary-hover, #4b5563);
+        --trigger-text: var(--button-secondary-text, #ffffff);
+      }
+
+      :host([variant="danger"]) .split-trigger {
+        --trigger-bg: var(--button-danger-bg, #dc2626);
+        --trigger-hover: var(--button-danger-hover, #b91c1c);
+        --trigger-text: var(--button-danger-text, #ffffff);
+      }
+
+      :host([variant="outline"]) .split-trigger {
+        margin-inline-start: var(--button-group-overlap);
+        --trigger-bg: transparent;
+        --trigger-hover: var(--button-outline-hover-bg, #eff6ff);
+        --trigger-text: var(--button-outline-text, #2563eb);
+        --trigger-border: var(--button-outline-border, #2563eb);
+      }
+
+      :host([variant="ghost"]) .split-trigger {
+        --trigger-bg: transparent;
+        --trigger-hover: var(--button-ghost-hover-bg, rgba(0, 0, 0, 0.05));
+        --trigger-text: var(--button-ghost-text, #374151);
+      }
+
+      .split-trigger:hover,
+      .split-trigger[aria-expanded="true"] {
+        background-color: var(--trigger-hover);
+      }
+
+      .split-trigger:focus-visible {
+        box-shadow: inset 0 0 0 1px var(--trigger-border), var(--button-focus-ring, 0 0 0 3px rgba(37, 99, 235, 0.2));
+      }
+
+      .split-trigger svg {
+        width: 1em;
+        height: 1em;
+      }
+
+      /* Split-button menu */
+      .split-menu {
+        position: absolute;
+        top: calc(100% + 4px);
+        inset-inline-end: 0;
+        z-index: 10;
+        display: flex;
+        flex-direction: column;
+        min-width: 100%;
+        padding: 4px;
+        box-sizing: border-box;
+        background: var(--button-group-menu-bg);
+        border-radius: var(--button-group-radius);
+        box-shadow: var(--button-group-menu-shadow);
+      }
+
+      .split-menu[hidden] {
+        display: none;
+      }
+    `;
+    }
+    /**
+     * Applies the mode to the current buttons: toggle semantics in
+     * segmented modes, the single tab stop and the form value
+     * @internal
+     */
+    updateItems() {
+        if (!this.slotElement)
+            return;
+        const segmented = this.mode === 'single' || this.mode === 'multiple';
+        for (const item of this.getItems()) {
+            if (segmented && this.isCustomItem(item)) {
+                item.setAttribute('toggle', '');
+            }
+        }
+        if (this.mode === 'single') {
+            // An exclusive group keeps at most one button pressed
+            const pressed = this.getItems().filter((item) => this.isPressed(item));
+            for (const item of pressed.slice(1)) {
+                this.setPressed(item, false);
+            }
+        }
+        this.updateTrigger();
+        const items = this.getFocusableItems();
+        const preferred = items.find((item) => segmented && this.isPressed(item));
+        this.setActiveItem(items.includes(this.activeItem) ? this.activeItem : preferred || items[0] || null);
+        this.updateFormValue();
+    }
+    /**
+     * @internal
+     */
+    updateTrigger() {
+        if (!this.trigger)
+            return;
+        this.trigger.setAttribute('aria-label', this.getAttribute('menu-label') || 'More options');
+        for (const item of this.getMenuItems()) {
+            if (!item.hasAttribute('role')) {
+                item.setAttribute('role', 'menuitem');
+            }
+            item.setAttribute('tabindex', '-1');
+        }
+    }
+    /**
+     * Gives `item` the group's only tab stop
+     * @internal
+     */
+    setActiveItem(item) {
+        this.activeItem = item;
+        for (const candidate of this.getNavigableItems()) {
+            if (candidate === item) {
+                candidate.removeAttribute('tabindex');
+            }
+            else {
+                candidate.setAttribute('tabindex', '-1');
+            }
+        }
+    }
+    /**
+     * Index of the item an arrow, Home or End key moves to, or null
+     * @internal
+     */
+    nextIndex(key, current, count, orientation) {
+        const rtl = getComputedStyle(this).direction === 'rtl';
+        const forward = orientation === 'vertical' ? 'ArrowDown' : rtl ? 'ArrowLeft' : 'ArrowRight';
+        const backward = orientation === 'vertical' ? 'ArrowUp' : rtl ? 'ArrowRight' : 'ArrowLeft';
+        switch (key) {
+            case forward: return (current + 1) % count;
+            case backward: return (current - 1 + count) % count;
+            case 'Home': return 0;
+            case 'End': return count - 1;
+            default: return null;
+        }
+    }
+    /**
+     * Keyboard handling while focus is inside the open menu
+     * @internal
+     */
+    handleMenuKeydown(event) {
+        const items = this.getMenuItems().filter((item) => !this.isItemDisabled(item));
+        const current = items.indexOf(this.menuItemFor(event));
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.hideMenu();
+            return;
+        }
+        if (event.key === 'Tab') {
+            this.hideMenu(false);
+            return;
+        }
+        if (current === -1)
+            return;
+        if ((event.key === 'Enter' || event.key === ' ') && !this.isNativelyActivated(items[current])) {
+            event.preventDefault();
+            items[current].click();
+            return;
+        }
+        const next = this.nextIndex(event.key, current, items.length, 'vertical');
+        if (next === null)
+            return;
+        event.preventDefault();
+        items[next].focus();
+    }
+    /**
+     * Public API: Open the split-button menu and focus its first or last item
+     */
+    showMenu(focus = 'first') {
+        if (this.mode !== 'split' || !this.menu)
+            return;
+        this.menu.hidden = false;
+        this.trigger.setAttribute('aria-expanded', 'true');
+        document.addEventListener('pointerdown', this.handleOutsidePointer);
+        const items = this.getMenuItems().filter((item) => !this.isItemDisabled(item));
+        const target = focus === 'last' ? items[items.length - 1] : items[0];
+        target?.focus();
+    }
+    /**
+     * Public API: Close the split-button menu, by default returning focus
+     * to its trigger
+     */
+    hideMenu(restoreFocus = true) {
+        if (!this.menuOpen)
+            return;
+        this.menu.hidden = true;
+        this.trigger.setAttribute('aria-expanded', 'false');
+        document.removeEventListener('pointerdown', this.handleOutsidePointer);
+        if (restoreFocus) {
+            this.trigger.focus();
+        }
+    }
+    /**
+     * Public API: Whether the split-button menu is open
+     */
+    get menuOpen() {
+        return Boolean(this.menu && !this.menu.hidden);
+    }
+    /**
+     * Public API: Group behavior (none | single | multiple | split)
+     */
+    get mode() {
+        const mode = this.getAttribute('mode');
+        return mode === 'single' || mode === 'multiple' || mode === 'split' ? mode : 'none';
+    }
+    set mode(value) {
+        this.setAttribute('mode', value);
+    }
+    /**
+     * Public API: Layout axis (horizontal | vertical)
+     */
+    get orientation() {
+        return this.getAttribute('orientation') === 'vertical' ? 'vertical' : 'horizontal';
+    }
+    set orientation(value) {
+        this.setAttribute('orientation', value);
+    }
+    /**
+     * Public API: Value of the first pressed button in a segmented group,
+     * or an empty string. Setting it presses the button with that value.
+     */
+    get value() {
+        return this.values[0] ?? '';
+    }
+    set value(value) {
+        this.values = value === null || value === '' ? [] : [String(value)];
+    }
+    /**
+     * Public API: Values of all pressed buttons in a segmented group.
+     * Setting it presses exactly the buttons with those values.
+     */
+    get values() {
+        return this.getItems()
+            .filter((item) => this.isPressed(item))
+            .map((item) => this.itemValue(item));
+    }
+    set values(values) {
+        const wanted = new Set(values.map(String));
+        let pressed = 0;
+        for (const item of this.getItems()) {
+            const press = wanted.has(this.itemValue(item)) && (this.mode !== 'single' || pressed === 0);
+            this.setPressed(item, press);
+            if (press)
+                pressed++;
+        }
+        this.updateFormValue();
+    }
+    /**
+     * Public API: The form the segmented value is submitted with, if any
+     */
+    get form() {
+        return this.internals?.form ?? null;
+    }
+    /**
+     * Submits the pressed values under `name`
+     * @internal
+     */
+    updateFormValue() {
+        if (!this.internals)
+            return;
+        const name = this.getAttribute('name');
+        const values = this.mode === 'single' || this.mode === 'multiple' ? this.values : [];
+        if (!name || !values.length) {
+            this.internals.setFormValue(null);
+            return;
+        }
+        const data = new FormData();
+        for (const value of values) {
+            data.append(name, value);
+        }
+        this.internals.setFormValue(data);
+    }
+    /**
+     * Buttons in the default slot
+     * @internal
+     */
+    getItems() {
+        return this.slotElement ? this.slotElement.assignedElements() : [];
+    }
+    /**
+     * Everything that takes part in the roving tabindex, in visual order
+     * @internal
+     */
+    getNavigableItems() {
+        const items = this.getItems();
+        return this.mode === 'split' && this.trigger ? [...items, this.trigger] : items;
+    }
+    /**
+     * @internal
+     */
+    getFocusableItems() {
+        return this.getNavigableItems().filter((item) => !this.isItemDisabled(item));
+    }
+    /**
+     * @internal
+     */
+    getMenuItems() {
+        return this.menuSlot ? this.menuSlot.assignedElements() : [];
+    }
+    /**
+     * The group item an event came from. Targets inside shadow roots,
+     * including the trigger's, are retargeted, so the path decides.
+     * @internal
+     */
+    itemFor(event) {
+        const path = event.composedPath();
+        if (this.trigger && path.includes(this.trigger))
+            return this.trigger;
+        return this.getItems().find((item) => path.includes(item)) || null;
+    }
+    /**
+     * @internal
+     */
+    menuItemFor(event) {
+        const path = event.composedPath();
+        return this.getMenuItems().find((item) => path.includes(item)) || null;
+    }
+    /**
+     * @internal
+     */
+    isItemDisabled(item) {
+        return item.hasAttribute('disabled') || item.getAttribute('aria-disabled') === 'true';
+    }
+    /**
+     * Buttons and links click themselves on Enter and Space
+     * @internal
+     */
+    isNativelyActivated(item) {
+        return item.matches('button, a[href]') || item.shadowRoot !== null;
+    }
+    /**
+     * Custom elements such as imara-btn keep their own `pressed`
+     * attribute; native buttons get aria-pressed. Decided by tag name so
+     * it holds before the elements are upgraded.
+     * @internal
+     */
+    isCustomItem(item) {
+        return item.localName.includes('-');
+    }
+    /**
+     * @internal
+     */
+    isPressed(item) {
+        return this.isCustomItem(item) ? item.hasAttribute('pressed') : item.getAttribute('aria-pressed') === 'true';
+    }
+    /**
+     * @internal
+     */
+    setPressed(item, pressed) {
+        if (this.isCustomItem(item)) {
+            item.toggleAttribute('pressed', pressed);
+        }
+        else {
+            item.setAttribute('aria-pressed', String(pressed));
+        }
+    }
+    /**
+     * A button's form value: its `value` attribute, else its text
+     * @internal
+     */
+    itemValue(item) {
+        return item.getAttribute('value') ?? item.textContent.trim();
+    }
+    /**
+     * Attaches event listeners
+     * @internal
+     */
+    attachEventListeners() {
+        this.slotElement?.addEventListener('slotchange', this.handleSlotChange);
+        this.menuSlot?.addEventListener('slotchange', this.handleSlotChange);
+        this.trigger?.addEventListener('click', this.handleTriggerClick);
+        this.addEventListener('click', this.handleMenuClick);
+        this.addEventListener('button-click', this.handleButtonClick);
+        this.addEventListener('click', this.handleButtonClick);
+        this.addEventListener('keydown', this.handleKeydown);
+        this.addEventListener('focusin', this.handleFocusIn);
+    }
+    /**
+     * Removes event listeners
+     * @internal
+     */
+    removeEventListeners() {
+        this.slotElement?.removeEventListener('slotchange', this.handleSlotChange);
+        this.menuSlot?.removeEventListener('slotchange', this.handleSlotChange);
+        this.trigger?.removeEventListener('click', this.handleTriggerClick);
+        this.removeEventListener('click', this.handleMenuClick);
+        this.removeEventListener('button-click', this.handleButtonClick);
+        this.removeEventListener('click', this.handleButtonClick);
+        this.removeEventListener('keydown', this.handleKeydown);
+        this.removeEventListener('focusin', this.handleFocusIn);
+    }
+}
+ImaraButtonGroup.formAssociated = true;
+/**
+ * Default tag name for ImaraButtonGroup
+ */
+export const TAG_NAME = 'imara-button-group';
+/**
+ * Registers ImaraButtonGroup as a custom element
+ *
+ * Safe to call more than once: nothing happens if the tag is already
+ * defined in the registry. The platform allows one name per constructor
+ * and registry, so a second tag name in the same registry is backed by a
+ * subclass.
+ *
+ * @param tagName - Tag to register (default `imara-button-group`)
+ * @param registry - Registry to define it in, e.g. a scoped
+ * `CustomElementRegistry` (default the global `customElements`)
+ * @returns The tag name the element is available under
+ */
+export function define(tagName = TAG_NAME, registry = customElements) {
+    if (registry.get(tagName)) {
+        return tagName;
+    }
+    try {
+        registry.define(tagName, ImaraButtonGroup);
+    }
+    catch (_error) {
+        // The class already has a name here; an invalid tag name throws again below
+        registry.define(tagName, class extends ImaraButtonGroup {
+        });
+    }
+    return tagName;
+}
@@ -0,0 +1,17 @@
+/**
+ * Imara Button Group Component
+ *
+ * A production-ready, accessible button group web component built with
+ * vanilla TypeScript and Web Components standards.
+ *
+ * @module imara-button-group
+ */
+export { ImaraButtonGroup, TAG_NAME, define } from './imara-button-group.js';
+import { define } from './imara-button-group.js';
+// Auto-register the component when imported. Set
+// `globalThis.imaraAutoDefine = false` before loading to register it
+// yourself with define(), e.g. under another prefix or in a scoped registry.
+if (globalThis.imaraAutoDefine !== false) {
+    define();
+}
+//# sourceMappingURL=index.js.map
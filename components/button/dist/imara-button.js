@@ -1,115 +1,298 @@
 /**
- * AppButton - A reusable button web component
+ * ImaraButton - A reusable button web component
  *
- * @element app-button
+ * @element imara-btn
  *
- * @attr {string} variant - Button style variant (primary | secondary | danger)
+ * @attr {string} variant - Button style variant (primary | secondary | danger | outline | ghost | link)
+ * @attr {string} size - Button size (xs | sm | md | lg | xl), default md
+ * @attr {boolean} full-width - Stretches the button to the width of its container
+ * @attr {boolean} icon-only - Square button showing only an icon; name it with `label`, `aria-label` or `title`
+ * @attr {string} label - Accessible name; defaults to the slotted text
+ * @attr {string} aria-label - Same as label, forwarded to the inner button
+ * @attr {string} title - Tooltip; also the accessible name of an icon-only button without `label`
+ * @attr {string} loading-message - Announced when loading starts (default "Loading")
+ * @attr {boolean} toggle - Makes the button a toggle that flips `pressed` on click
+ * @attr {boolean} pressed - Pressed state of a toggle button
+ * @attr {string} href - Renders a link to this URL instead of a button
+ * @attr {string} target - Link target (href mode)
+ * @attr {string} rel - Link relationship (href mode); defaults to "noopener noreferrer" for target="_blank"
+ * @attr {string} download - Downloads the linked resource, optionally under this file name (href mode)
  * @attr {boolean} disabled - Disables the button
  * @attr {boolean} loading - Shows loading state
- * @attr {string} type - Button type (button | submit)
+ * @attr {string} type - Button type (button | submit | reset)
+ * @attr {string} form - Id of the form to associate with, when not inside it
+ * @attr {string} name - Name submitted with the form when this button submits it
+ * @attr {string} value - Value submitted along with name
+ * @attr {string} formaction - Overrides the form's action when this button submits it
+ * @attr {string} formmethod - Overrides the form's method (get | post | dialog)
+ * @attr {boolean} formnovalidate - Submits without running constraint validation
+ * @attr {string} success-message - Announced when an `action` succeeds (default "Done")
+ * @attr {string} error-message - Announced when an `action` fails (default "Something went wrong")
+ * @attr {number} feedback-duration - Milliseconds the success/error state stays visible (default 2000)
  *
- * @fires button-click - Dispatched when button is clicked
+ * @fires button-click - Dispatched when button is clicked. Cancel it to skip the `action` or form submit/reset.
+ * @fires button-toggle - Dispatched when a toggle button is clicked, with the new state in `detail.pressed`
+ * @fires button-label-missing - Dispatched when an icon-only button has no accessible name: no `label`, `aria-label`, `title` or slotted text
+ * @fires button-action-start - Dispatched when an `action` starts, with its AbortSignal in `detail.signal`
+ * @fires button-action-end - Dispatched when an `action` settles, with `detail.status` (success | error | aborted) and its `value` or `error`
  *
  * @slot - Default slot for button content (text, icons, etc.)
+ * @slot prefix - Icon shown before the content
+ * @slot suffix - Icon shown after the content
+ *
+ * @csspart button - The native button element, or the anchor in href mode
+ * @csspart content - Wrapper around the slotted content
+ * @csspart spinner - Loading spinner
+ *
+ * @cssprop --button-primary-bg - Primary background color
+ * @cssprop --button-primary-hover - Primary background color on hover
+ * @cssprop --button-primary-active - Primary background color when pressed
+ * @cssprop --button-primary-text - Primary text color
+ * @cssprop --button-secondary-bg - Secondary background color
+ * @cssprop --button-secondary-hover - Secondary background color on hover
+ * @cssprop --button-secondary-active - Secondary background color when pressed
+ * @cssprop --button-secondary-text - Secondary text color
+ * @cssprop --button-danger-bg - Danger background color
+ * @cssprop --button-danger-hover - Danger background color on hover
+ * @cssprop --button-danger-active - Danger background color when pressed
+ * @cssprop --button-danger-text - Danger text color
+ * @cssprop --button-success-bg - Background color after an `action` succeeds
+ * @cssprop --button-success-text - Text color after an `action` succeeds
+ * @cssprop --button-error-bg - Background color after an `action` fails
+ * @cssprop --button-error-text - Text color after an `action` fails
+ * @cssprop --button-outline-border - Border color of the outline variant
+ * @cssprop --button-outline-text - Text color of the outline variant
+ * @cssprop --button-outline-hover-bg - Outline variant background on hover
+ * @cssprop --button-outline-active-bg - Outline variant background when pressed
+ * @cssprop --button-ghost-text - Text color of the ghost variant
+ * @cssprop --button-ghost-hover-bg - Ghost variant background on hover
+ * @cssprop --button-ghost-active-bg - Ghost variant background when pressed
+ * @cssprop --button-link-text - Text color of the link variant
+ * @cssprop --button-link-hover-text - Link variant text color on hover
+ * @cssprop --button-disabled-bg - Background color when disabled
+ * @cssprop --button-disabled-text - Text color when disabled
+ * @cssprop --button-border-radius - Corner radius
+ * @cssprop --button-padding - Inner padding (size md)
+ * @cssprop --button-font-size - Font size (size md)
+ * @cssprop --button-padding-xs - Inner padding, size xs
+ * @cssprop --button-font-size-xs - Font size, size xs
+ * @cssprop --button-padding-sm - Inner padding, size sm
+ * @cssprop --button-font-size-sm - Font size, size sm
+ * @cssprop --button-padding-lg - Inner padding, size lg
+ * @cssprop --button-font-size-lg - Font size, size lg
+ * @cssprop --button-padding-xl - Inner padding, size xl
+ * @cssprop --button-font-size-xl - Font size, size xl
+ * @cssprop --button-min-width - Minimum width of buttons with text
+ * @cssprop --button-icon-only-size - Width and height of icon-only buttons (size md; other sizes scale it)
+ * @cssprop --button-font-weight - Font weight
+ * @cssprop --button-transition - Transition for hover and state changes
+ * @cssprop --button-focus-ring - Box shadow shown on keyboard focus
  */
 export class ImaraButton extends HTMLElement {
     // Observed attributes for reactivity
     static get observedAttributes() {
-        return ['variant', 'disabled', 'loading', 'type'];
+        return [
+            'variant', 'disabled', 'loading', 'type',
+            'size', 'full-width', 'icon-only', 'label', 'aria-label', 'title', 'loading-message',
+            'toggle', 'pressed', 'href', 'target', 'rel', 'download',
+            'form', 'name', 'value', 'formaction', 'formmethod', 'formnovalidate',
+            'success-message', 'error-message', 'feedback-duration'
+        ];
     }
     constructor() {
         super();
         this.button = null;
         this.styleElement = null;
+        this.internals = null;
+        // Set by formDisabledCallback when an ancestor fieldset is disabled
+        this.formDisabled = false;
+        this._action = null;
+        this.actionController = null;
+        this.feedbackTimer = undefined;
+        // An icon-only button without a name is reported once until it gets one
+        this.labelMissing = false;
+        // Settles once the shadow DOM is built; rendering happens once per element
+        this.rendering = null;
+        this.buttonFocused = false;
+        // Set when the focused button is removed; cleared unless it is
+        // reinserted, i.e. moved, before the task ends
+        this.pendingFocus = false;
         /**
          * Handles button click events
          */
         this.handleClick = (event) => {
             // Prevent default if button is disabled or loading
-            if (this.hasAttribute('disabled') || this.hasAttribute('loading')) {
+            if (this.isDisabled() || this.hasAttribute('loading')) {
                 event.preventDefault();
                 event.stopPropagation();
                 return;
             }
             // Dispatch custom event
-            this.dispatchEvent(new CustomEvent('button-click', {
+            const proceed = this.dispatchEvent(new CustomEvent('button-click', {
                 bubbles: true,
                 composed: true,
+                cancelable: true,
                 detail: {
                     variant: this.getAttribute('variant') || 'primary',
-                    type: this.getAttribute('type') || 'button'
+                    type: this.type
                 }
             }));
+            // Links navigate natively
+            if (!proceed || this.button?.localName === 'a')
+                return;
+            if (this.hasAttribute('toggle')) {
+                this.pressed = !this.pressed;
+                this.dispatchEvent(new CustomEvent('button-toggle', {
+                    bubbles: true,
+                    composed: true,
+                    detail: { pressed: this.pressed }
+                }));
+            }
+            else if (this._action) {
+                this.runAction();
+            }
+            else {
+                this.runFormAction();
+            }
         };
-        // Attach Shadow DOM
-        this.attachShadow({ mode: 'open' });
+        this.handleFocus = () => {
+            this.buttonFocused = true;
+        };
+        this.handleBlur = () => {
+            // Some browsers blur on removal; a move still restores the focus
+            queueMicrotask(() => {
+                this.buttonFocused = this.shadowRoot?.activeElement === this.button;
+            });
+        };
+        // Attach Shadow DOM; delegatesFocus makes the host and its inner
+        // control a single tab stop, so a tabindex on the host applies to both
+        this.attachShadow({ mode: 'open', delegatesFocus: true });
+        // Form association lets submit/reset buttons reach their owner form
+        if ('attachInternals' in this) {
+            this.internals = this.attachInternals();
+        }
     }
     /**
      * Called when element is added to the DOM
      */
-    connectedCallback() {
-        this.render();
+    async connectedCallback() {
+        const restoreFocus = this.pendingFocus;
+        this.pendingFocus = false;
+        // render() is async; the button it creates must exist before listening.
+        // A moved element keeps its shadow DOM, so it is only built once.
+        this.rendering ??= this.render();
+        await this.rendering;
+        if (!this.isConnected)
+            return;
         this.attachEventListeners();
+        if (restoreFocus) {
+            this.button?.focus({ preventScroll: true });
+        }
     }
     /**
      * Called when element is removed from the DOM
      */
     disconnectedCallback() {
+        if (this.buttonFocused) {
+            this.pendingFocus = true;
+            queueMicrotask(() => { this.pendingFocus = false; });
+        }
+        this.buttonFocused = false;
         this.removeEventListeners();
     }
+    /**
+     * Called instead of the disconnected and connected callbacks when the
+     * element is moved with `moveBefore()`, which keeps its focus
+     */
+    connectedMoveCallback() { }
     /**
      * Called when observed attributes change
      */
-    attributeChangedCallback(_name, oldValue, newValue) {
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Adding or removing href swaps the rendered element
+        if (name === 'href' && (oldValue === null) !== (newValue === null) && this.button) {
+            this.rerender();
+            return;
+        }
+        if (name === 'loading' && (oldValue === null) !== (newValue === null)) {
+            this.announce(newValue !== null ? this.getAttribute('loading-message') || 'Loading' : '');
+        }
         // Only update if the value actually changed
         if (oldValue !== newValue) {
             // Re-render button state when attributes change
             this.updateButton();
         }
     }
+    /**
+     * Called when an ancestor fieldset is disabled or enabled
+     */
+    formDisabledCallback(disabled) {
+        this.formDisabled = disabled;
+        this.updateButton();
+    }
     /**
      * Renders the component template and styles
+     * @internal
      */
     async render() {
         if (!this.shadowRoot)
             return;
         // Load template and styles
         const template = await this.getTemplate();
-        const styles = await this.getStyles();
-        // Clear shadow root
-        this.shadowRoot.innerHTML = '';
-        // Add styles
-        this.styleElement = document.createElement('style');
-        this.styleElement.textContent = styles;
-        this.shadowRoot.appendChild(this.styleElement);
+        // Styles are applied once and survive re-renders
+        if (!this.styleElement && !this.shadowRoot.adoptedStyleSheets?.length) {
+            this.styleElement = adoptStyles(this.shadowRoot, await this.getStyles());
+        }
         // Add template
         const templateElement = document.createElement('template');
         templateElement.innerHTML = template;
         this.shadowRoot.appendChild(templateElement.content.cloneNode(true));
-        // Get reference to button element
-        this.button = this.shadowRoot.querySelector('button');
+        // Get reference to button (or link) element
+        this.button = this.shadowRoot.querySelector('.app-button');
+        // Slotted text may be what names the button
+        this.shadowRoot.querySelector('slot:not([name])')?.addEventListener('slotchange', () => this.updateButton());
         // Initialize button state
         this.updateButton();
     }
+    /**
+     * Re-renders after the element type changed
+     * @internal
+     */
+    async rerender() {
+        this.removeEventListeners();
+        for (const node of Array.from(this.shadowRoot?.childNodes ?? [])) {
+            if (node !== this.styleElement)
+                node.remove();
+        }
+        this.rendering = this.render();
+        await this.rendering;
+        this.attachEventListeners();
+    }
     /**
      * Loads the HTML template
+     * @internal
      */
     async getTemplate() {
+        const tag = this.hasAttribute('href') ? 'a' : 'button';
         return `
-      <button class="app-button" part="button">
+      <${tag} class="app-button" part="button">
         <span class="button-content" part="content">
+          <slot name="prefix"></slot>
           <slot></slot>
+          <slot name="suffix"></slot>
         </span>
         <span class="loading-spinner" part="spinner" aria-hidden="true">
           <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
             <circle cx="12" cy="12" r="10" stroke-width="3" fill="none" />
           </svg>
         </span>
-      </button>
+      </${tag}>
+      <span class="button-status" role="status" aria-live="polite"></span>
     `;
     }
     /**
      * Loads the CSS styles
+     * @internal
      */
     async getStyles() {
         return `
@@ -132,6 +315,23 @@ export class ImaraButton extends HTMLElement {
         --button-danger-active: #991b1b;
         --button-danger-text: #ffffff;
 
+        --button-success-bg: #16a34a;
+        --button-success-text: #ffffff;
+        --button-error-bg: #b91c1c;
+        --button-error-text: #ffffff;
+
+        --button-outline-border: #2563eb;
+        --button-outline-text: #2563eb;
+        --button-outline-hover-bg: #eff6ff;
+        --button-outline-active-bg: #dbeafe;
+
+        --button-ghost-text: #374151;
+        --button-ghost-hover-bg: rgba(0, 0, 0, 0.05);
+        --button-ghost-active-bg: rgba(0, 0, 0, 0.1);
+
+        --button-link-text: #2563eb;
+        --button-link-hover-text: #1d4ed8;
+
         --button-disabled-bg: #e5e7eb;
         --button-disabled-text: #9ca3af;
 
@@ -139,6 +339,16 @@ export class ImaraButton extends HTMLElement {
         --button-padding: 10px 20px;
         --button-font-size: 14px;
         --button-font-weight: 500;
+        --button-padding-xs: 4px 10px;
+        --button-font-size-xs: 12px;
+        --button-padding-sm: 6px 14px;
+        --button-font-size-sm: 13px;
+        --button-padding-lg: 12px 24px;
+        --button-font-size-lg: 16px;
+        --button-padding-xl: 14px 28px;
+        --button-font-size-xl: 18px;
+        --button-min-width: 80px;
+        --button-icon-only-size: 40px;
         --button-transition: all 0.2s ease;
 
         --button-focus-ring: 0 0 0 3px rgba(37, 99, 235, 0.2);
@@ -171,7 +381,54 @@ export class ImaraButton extends HTMLElement {
         outline: none;
         white-space: nowrap;
         user-select: none;
-        min-width: 80px;
+        min-width: var(--button-min-width);
+        box-sizing: border-box;
+        text-decoration: none;
+        --icon-only-scale: 1;
+      }
+
+      /* Sizes (md uses --button-padding / --button-font-size) */
+      :host([size="xs"]) .app-button {
+        padding: var(--button-padding-xs);
+        font-size: var(--button-font-size-xs);
+        min-width: 0;
+        --icon-only-scale: 0.6;
+      }
+
+      :host([size="sm"]) .app-button {
+        padding: var(--button-padding-sm);
+        font-size: var(--button-font-size-sm);
+        min-width: 0;
+        --icon-only-scale: 0.8;
+      }
+
+      :host([size="lg"]) .app-button {
+        padding: var(--button-padding-lg);
+        font-size: var(--button-font-size-lg);
+        --icon-only-scale: 1.2;
+      }
+
+      :host([size="xl"]) .app-button {
+        padding: var(--button-padding-xl);
+        font-size: var(--button-font-size-xl);
+        --icon-only-scale: 1.4;
+      }
+
+      /* Full width */
+      :host([full-width]) {
+        display: block;
+      }
+
+      :host([full-width]) .app-button {
+        width: 100%;
+      }
+
+      /* Icon-only */
+      :host([icon-only]) .app-button {
+        width: calc(var(--button-icon-only-size) * var(--icon-only-scale));
+        height: calc(var(--button-icon-only-size) * var(--icon-only-scale));
+        padding: 0;
+        min-width: 0;
       }
 
       /* Variant: Primary (default) */
@@ -180,11 +437,11 @@ export class ImaraButton extends HTMLElement {
         color: var(--button-primary-text);
       }
 
-      .app-button:hover:not(:disabled) {
+      .app-button:hover:not(:disabled):not([aria-disabled="true"]) {
         background-color: var(--button-primary-hover);
       }
 
-      .app-button:active:not(:disabled) {
+      .app-button:active:not(:disabled):not([aria-disabled="true"]) {
         background-color: var(--button-primary-active);
         transform: translateY(1px);
       }
@@ -195,11 +452,11 @@ export class ImaraButton extends HTMLElement {
         color: var(--button-secondary-text);
       }
 
-      :host([variant="secondary"]) .app-button:hover:not(:disabled) {
+      :host([variant="secondary"]) .app-button:hover:not(:disabled):not([aria-disabled="true"]) {
         background-color: var(--button-secondary-hover);
       }
 
-      :host([variant="secondary"]) .app-button:active:not(:disabled) {
+      :host([variant="secondary"]) .app-button:active:not(:disabled):not([aria-disabled="true"]) {
         background-color: var(--button-secondary-active);
       }
 
@@ -209,16 +466,110 @@ export class ImaraButton extends HTMLElement {
         color: var(--button-danger-text);
       }
 
-      :host([variant="danger"]) .app-button:hover:not(:disabled) {
+      :host([variant="danger"]) .app-button:hover:not(:disabled):not([aria-disabled="true"]) {
         background-color: var(--button-danger-hover);
       }
 
-      :host([variant="danger"]) .app-button:active:not(:disabled) {
+      :host([variant="danger"]) .app-button:active:not(:disabled):not([aria-disabled="true"]) {
+        background-color: var(--button-danger-active);
+      }
+
+      /* Variant: Outline */
+      :host([variant="outline"]) .app-button {
+        background-color: transparent;
+        color: var(--button-outline-text);
+        box-shadow: inset 0 0 0 1px var(--button-outline-border);
+      }
+
+      :host([variant="outline"]) .app-button:hover:not(:disabled):not([aria-disabled="true"]) {
+        background-color: var(--button-outline-hover-bg);
+      }
+
+      :host([variant="outline"]) .app-button:active:not(:disabled):not([aria-disabled="true"]) {
+        background-color: var(--button-outline-active-bg);
+      }
+
+      :host([variant="outline"]) .app-button:focus-visible {
+        box-shadow: inset 0 0 0 1px var(--button-outline-border), var(--button-focus-ring);
+      }
+
+      /* Variant: Ghost */
+      :host([variant="ghost"]) .app-button {
+        background-color: transparent;
+        color: var(--button-ghost-text);
+      }
+
+      :host([variant="ghost"]) .app-button:hover:not(:disabled):not([aria-disabled="true"]) {
+        background-color: var(--button-ghost-hover-bg);
+      }
+
+      :host([variant="ghost"]) .app-button:active:not(:disabled):not([aria-disabled="true"]) {
+        background-color: var(--button-ghost-active-bg);
+      }
+
+      /* Variant: Link */
+      :host([variant="link"]) .app-button {
+        background-color: transparent;
+        color: var(--button-link-text);
+        padding: 0;
+        min-width: 0;
+      }
+
+      :host([variant="link"]) .app-button:hover:not(:disabled):not([aria-disabled="true"]) {
+        background-color: transparent;
+        color: var(--button-link-hover-text);
+        text-decoration: underline;
+      }
+
+      :host([variant="link"]) .app-button:active:not(:disabled):not([aria-disabled="true"]) {
+        background-color: transparent;
+        transform: none;
+      }
+
+      /* Pressed toggle buttons keep their pressed-down color */
+      :host([toggle][pressed]) .app-button {
+        background-color: var(--button-primary-active);
+      }
+
+      :host([toggle][pressed][variant="secondary"]) .app-button {
+        background-color: var(--button-secondary-active);
+      }
+
+      :host([toggle][pressed][variant="danger"]) .app-button {
         background-color: var(--button-danger-active);
       }
 
-      /* Disabled state */
-      .app-button:disabled {
+      :host([toggle][pressed][variant="outline"]) .app-button {
+        background-color: var(--button-outline-active-bg);
+      }
+
+      :host([toggle][pressed][variant="ghost"]) .app-button {
+        background-color: var(--button-ghost-active-bg);
+      }
+
+      /* Transient result of an action */
+      :host([action-state="success"]) .app-button {
+        background-color: var(--button-success-bg);
+        color: var(--button-success-text);
+      }
+
+      :host([action-state="error"]) .app-button {
+        background-color: var(--button-error-bg);
+        color: var(--button-error-text);
+      }
+
+      .button-status {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
+
+      /* Disabled state (links have no :disabled) */
+      .app-button:disabled,
+      a.app-button[aria-disabled="true"] {
         background-color: var(--button-disabled-bg);
         color: var(--button-disabled-text);
         cursor: not-allowed;
@@ -239,6 +590,12 @@ export class ImaraButton extends HTMLElement {
         transition: opacity 0.2s ease;
       }
 
+      ::slotted([slot="prefix"]),
+      ::slotted([slot="suffix"]) {
+        display: inline-flex;
+        flex-shrink: 0;
+      }
+
       /* Loading spinner */
       .loading-spinner {
         position: absolute;
@@ -273,24 +630,28 @@ export class ImaraButton extends HTMLElement {
     }
     /**
      * Updates button attributes and state based on component attributes
+     * @internal
      */
     updateButton() {
         if (!this.button)
             return;
-        // Update type attribute
-        const type = this.getAttribute('type') || 'button';
-        this.button.setAttribute('type', type);
         // Update disabled state
-        const isDisabled = this.hasAttribute('disabled');
+        const isDisabled = this.isDisabled();
         const isLoading = this.hasAttribute('loading');
-        if (isDisabled || isLoading) {
-            this.button.setAttribute('disabled', '');
-            this.button.setAttribute('aria-disabled', 'true');
+        if (this.button.localName === 'a') {
+            this.updateLink(isDisabled || isLoading);
         }
         else {
-            this.button.removeAttribute('disabled');
-            this.button.setAttribute('aria-disabled', 'false');
+            // Update type attribute
+            this.button.setAttribute('type', this.type);
+            if (isDisabled || isLoading) {
+                this.button.setAttribute('disabled', '');
+            }
+            else {
+                this.button.removeAttribute('disabled');
+            }
         }
+        this.button.setAttribute('aria-disabled', String(isDisabled || isLoading));
         // Update loading state
         if (isLoading) {
             this.button.setAttribute('aria-busy', 'true');
@@ -298,34 +659,254 @@ export class ImaraButton extends HTMLElement {
         else {
             this.button.setAttribute('aria-busy', 'false');
         }
-        // Update variant (handled by CSS :host selector)
-        const variant = this.getAttribute('variant') || 'primary';
-        this.button.setAttribute('aria-label', `${variant} button${isLoading ? ', loading' : ''}`);
+        // Toggle state
+        if (this.hasAttribute('toggle')) {
+            this.button.setAttribute('aria-pressed', String(this.pressed));
+        }
+        else {
+            this.button.removeAttribute('aria-pressed');
+        }
+        // The accessible name comes from the slotted content unless the
+        // host provides one; loading is announced by the live region.
+        // An icon has no text, so icon-only buttons fall back to the title
+        const iconOnly = this.hasAttribute('icon-only');
+        const label = this.getAttribute('label') ?? this.getAttribute('aria-label') ??
+            (iconOnly ? this.getAttribute('title') : null);
+        if (label) {
+            this.button.setAttribute('aria-label', label);
+        }
+        else {
+            this.button.removeAttribute('aria-label');
+        }
+        const labelMissing = iconOnly && !label && !this.textContent?.trim();
+        if (labelMissing && !this.labelMissing) {
+            this.dispatchEvent(new CustomEvent('button-label-missing', {
+                bubbles: true,
+                composed: true
+            }));
+        }
+        this.labelMissing = labelMissing;
+    }
+    /**
+     * Mirrors the link attributes onto the rendered anchor
+     * @internal
+     */
+    updateLink(inactive) {
+        const link = this.button;
+        const href = this.getAttribute('href');
+        // Without href an anchor cannot be focused or followed, which disables it
+        if (inactive || href === null) {
+            link.removeAttribute('href');
+        }
+        else {
+            link.setAttribute('href', href);
+        }
+        link.setAttribute('role', 'link');
+        const target = this.getAttribute('target');
+        const rel = this.getAttribute('rel') ?? (target === '_blank' ? 'noopener noreferrer' : null);
+        const attributes = { target, rel, download: this.getAttribute('download') };
+        for (const [attribute, value] of Object.entries(attributes)) {
+            if (value === null) {
+                link.removeAttribute(attribute);
+            }
+            else {
+                link.setAttribute(attribute, value);
+            }
+        }
+    }
+    /**
+     * True when disabled directly or through a disabled fieldset
+     * @internal
+     */
+    isDisabled() {
+        return this.hasAttribute('disabled') || this.formDisabled;
+    }
+    /**
+     * Runs `action` with the loading state, then shows its outcome
+     * @internal
+     */
+    async runAction() {
+        // Double-click guard; the loading attribute also blocks clicks
+        if (this.actionController)
+            return;
+        const controller = new AbortController();
+        this.actionController = controller;
+        this.clearFeedback();
+        this.setAttribute('loading', '');
+        this.dispatchEvent(new CustomEvent('button-action-start', {
+            bubbles: true,
+            composed: true,
+            detail: { signal: controller.signal }
+        }));
+        // Settle as soon as abort() is called, even if the action ignores its signal
+        const aborted = new Promise((_resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        let detail;
+        try {
+            const value = await Promise.race([
+                Promise.resolve().then(() => this._action(controller.signal)),
+                aborted
+            ]);
+            detail = { status: 'success', value };
+        }
+        catch (error) {
+            detail = { status: controller.signal.aborted ? 'aborted' : 'error', error };
+        }
+        this.actionController = null;
+        this.removeAttribute('loading');
+        if (detail.status !== 'aborted') {
+            this.showFeedback(detail.status);
+        }
+        this.dispatchEvent(new CustomEvent('button-action-end', {
+            bubbles: true,
+            composed: true,
+            detail
+        }));
+    }
+    /**
+     * Shows the success/error state and announces it, then resets
+     * @internal
+     */
+    showFeedback(status) {
+        const message = status === 'success'
+            ? this.getAttribute('success-message') || 'Done'
+            : this.getAttribute('error-message') || 'Something went wrong';
+        this.setAttribute('action-state', status);
+        this.announce(message);
+        const duration = parseInt(this.getAttribute('feedback-duration') || '2000', 10);
+        this.feedbackTimer = setTimeout(() => this.clearFeedback(), Number.isNaN(duration) ? 2000 : duration);
+    }
+    /**
+     * @internal
+     */
+    clearFeedback() {
+        clearTimeout(this.feedbackTimer);
+        this.removeAttribute('action-state');
+        this.announce('');
+    }
+    /**
+     * Writes a message to the polite live region
+     * @internal
+     */
+    announce(message) {
+        const region = this.shadowRoot?.querySelector('.button-status');
+        if (region) {
+            region.textContent = message;
+        }
+    }
+    /**
+     * Submits or resets the owner form according to `type`
+     * @internal
+     */
+    runFormAction() {
+        const form = this.form;
+        if (!form)
+            return;
+        if (this.type === 'reset') {
+            form.reset();
+            return;
+        }
+        if (this.type !== 'submit')
+            return;
+        // A shadow-DOM button cannot submit a light-DOM form, and requestSubmit()
+        // only accepts native submitters, so a temporary one stands in for us
+        const submitter = document.createElement('button');
+        submitter.type = 'submit';
+        submitter.hidden = true;
+        for (const attribute of ['name', 'value', 'formaction', 'formmethod', 'formnovalidate']) {
+            const value = this.getAttribute(attribute);
+            if (value !== null) {
+                submitter.setAttribute(attribute, value);
+            }
+        }
+        form.append(submitter);
+        try {
+            if (typeof form.requestSubmit === 'function') {
+                form.requestSubmit(submitter);
+            }
+            else {
+                submitter.click();
+            }
+        }
+        finally {
+            submitter.remove();
+        }
     }
     /**
      * Attaches event listeners
+     * @internal
      */
     attachEventListeners() {
         if (this.button) {
             this.button.addEventListener('click', this.handleClick);
+            this.button.addEventListener('focus', this.handleFocus);
+            this.button.addEventListener('blur', this.handleBlur);
         }
     }
     /**
      * Removes event listeners
+     * @internal
      */
     removeEventListeners() {
         if (this.button) {
             this.button.removeEventListener('click', this.handleClick);
+            this.button.removeEventListener('focus', this.handleFocus);
+            this.button.removeEventListener('blur', this.handleBlur);
         }
     }
     /**
      * Public API: Programmatically trigger button click
      */
     click() {
-        if (this.button && !this.hasAttribute('disabled') && !this.hasAttribute('loading')) {
+        if (this.button && !this.isDisabled() && !this.hasAttribute('loading')) {
             this.button.click();
         }
     }
+    /**
+     * Public API: Button type (button | submit | reset)
+     */
+    get type() {
+        const type = this.getAttribute('type');
+        return type === 'submit' || type === 'reset' ? type : 'button';
+    }
+    set type(value) {
+        this.setAttribute('type', value);
+    }
+    /**
+     * Public API: Async function run on click instead of the default
+     * submit/reset behavior. It receives an AbortSignal; while it runs the
+     * button shows its loading state and ignores clicks. Afterwards the
+     * host gets `action-state="success"` or `action-state="error"` for
+     * `feedback-duration` milliseconds and the outcome is announced.
+     */
+    get action() {
+        return this._action;
+    }
+    set action(fn) {
+        this._action = typeof fn === 'function' ? fn : null;
+    }
+    /**
+     * Public API: Pressed state of a toggle button
+     */
+    get pressed() {
+        return this.hasAttribute('pressed');
+    }
+    set pressed(value) {
+        this.toggleAttribute('pressed', Boolean(value));
+    }
+    /**
+     * Public API: Cancel the running action, if any
+     */
+    abort(reason) {
+        this.actionController?.abort(reason);
+    }
+    /**
+     * Public API: The form this button submits or resets, if any
+     */
+    get form() {
+        return this.internals?.form ?? null;
+    }
     /**
      * Public API: Focus the button
      */
@@ -343,8 +924,62 @@ export class ImaraButton extends HTMLElement {
         }
     }
 }
-// Register the custom element
-if (!customElements.get('imara-btn')) {
-    customElements.define('imara-btn', ImaraButton);
+ImaraButton.formAssociated = true;
+// Constructable stylesheet shared by every instance, built on first render
+let sharedStyleSheet = null;
+/**
+ * Styles a shadow root with the shared stylesheet where constructable
+ * stylesheets work, else with a `<style>` element, which is returned
+ */
+function adoptStyles(root, css) {
+    if ('adoptedStyleSheets' in root && typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype) {
+        try {
+            if (!sharedStyleSheet) {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(css);
+                sharedStyleSheet = sheet;
+            }
+            root.adoptedStyleSheets = [sharedStyleSheet];
+            return null;
+        }
+        catch (_error) {
+            // A sheet from another document cannot be adopted; use a <style> element
+        }
+    }
+    const style = document.createElement('style');
+    style.textContent = css;
+    root.appendChild(style);
+    return style;
+}
+/**
+ * Default tag name for ImaraButton
+ */
+export const TAG_NAME = 'imara-btn';
+/**
+ * Registers ImaraButton as a custom element
+ *
+ * Safe to call more than once: nothing happens if the tag is already
+ * defined in the registry. The platform allows one name per constructor
+ * and registry, so a second tag name in the same registry is backed by a
+ * subclass.
+ *
+ * @param tagName - Tag to register (default `imara-btn`)
+ * @param registry - Registry to define it in, e.g. a scoped
+ * `CustomElementRegistry` (default the global `customElements`)
+ * @returns The tag name the element is available under
+ */
+export function define(tagName = TAG_NAME, registry = customElements) {
+    if (registry.get(tagName)) {
+        return tagName;
+    }
+    try {
+        registry.define(tagName, ImaraButton);
+    }
+    catch (_error) {
+        // The class already has a name here; an invalid tag name throws again below
+        registry.define(tagName, class extends ImaraButton {
+        });
+    }
+    return tagName;
 }
 //# sourceMappingURL=imara-button.js.map
\ No newline at end of file
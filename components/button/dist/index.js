@@ -1,12 +1,17 @@
 /**
- * App Button Component
+ * Imara Button Component
  *
  * A production-ready, accessible button web component built with
  * vanilla TypeScript and Web Components standards.
  *
- * @module app-button
+ * @module imara-btn
  */
-export { ImaraButton } from './imara-button.js';
-// Auto-register the component when imported
-import './imara-button.js';
+export { ImaraButton, TAG_NAME, define } from './imara-button.js';
+import { define } from './imara-button.js';
+// Auto-register the component when imported. Set
+// `globalThis.imaraAutoDefine = false` before loading to register it
+// yourself with define(), e.g. under another prefix or in a scoped registry.
+if (globalThis.imaraAutoDefine !== false) {
+    define();
+}
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -1,8 +1,50 @@
 /**
- * UIContainer Web Component
+ * ImaraContainer Web Component
  *
  * Layout-only container component using Web Components + TypeScript.
  * Safe for older TS targets (ES5+).
+ *
+ * @element imara-container
+ *
+ * @attr {string} layout - Layout mode (block | flex | grid)
+ * @attr {string} direction - Flex direction (row | column | row-reverse | column-reverse)
+ * @attr {string} align - Cross-axis alignment (start | center | end | stretch | baseline)
+ * @attr {string} justify - Main-axis distribution (start | center | end | space-between | space-around | space-evenly)
+ * @attr {string} gap - Space between children (number in px or any CSS length)
+ * @attr {string} columns - Fixed number of grid columns
+ * @attr {string} min-column-width - Minimum column width for auto-fit grids (default 250px)
+ * @attr {string} padding - Inner padding (xs | sm | md | lg | xl or any CSS length)
+ * @attr {string} margin - Outer margin
+ * @attr {string} width - Container width
+ * @attr {string} height - Container height
+ * @attr {string} max-width - Maximum container width
+ * @attr {boolean} center - Centers the container horizontally
+ * @attr {boolean} full-height - Makes the container fill the viewport height
+ * @attr {boolean} scroll - Scrolls overflowing content
+ * @attr {string} layout-sm - Layout mode from the `sm` breakpoint up
+ * @attr {string} layout-md - Layout mode from the `md` breakpoint up
+ * @attr {string} layout-lg - Layout mode from the `lg` breakpoint up
+ * @attr {string} layout-xl - Layout mode from the `xl` breakpoint up
+ * @attr {string} direction-sm - Flex direction from the `sm` breakpoint up
+ * @attr {string} direction-md - Flex direction from the `md` breakpoint up
+ * @attr {string} direction-lg - Flex direction from the `lg` breakpoint up
+ * @attr {string} direction-xl - Flex direction from the `xl` breakpoint up
+ * @attr {string} columns-sm - Grid columns, or auto for auto-fit from the `sm` breakpoint up
+ * @attr {string} columns-md - Grid columns, or auto for auto-fit from the `md` breakpoint up
+ * @attr {string} columns-lg - Grid columns, or auto for auto-fit from the `lg` breakpoint up
+ * @attr {string} columns-xl - Grid columns, or auto for auto-fit from the `xl` breakpoint up
+ * @attr {string} gap-sm - Gap from the `sm` breakpoint up
+ * @attr {string} gap-md - Gap from the `md` breakpoint up
+ * @attr {string} gap-lg - Gap from the `lg` breakpoint up
+ * @attr {string} gap-xl - Gap from the `xl` breakpoint up
+ * @attr {string} padding-sm - Padding from the `sm` breakpoint up
+ * @attr {string} padding-md - Padding from the `md` breakpoint up
+ * @attr {string} padding-lg - Padding from the `lg` breakpoint up
+ * @attr {string} padding-xl - Padding from the `xl` breakpoint up
+ * @attr {string} breakpoints - Breakpoint widths for this container, e.g. "md:900px lg:1200px"; the rest come from `ImaraContainer.BREAKPOINTS`
+ * @attr {boolean} container-queries - Matches breakpoints against the container's own width instead of the viewport
+ *
+ * @slot - Content to lay out
  */
 export class ImaraContainer extends HTMLElement {
     static get observedAttributes() {
@@ -21,7 +63,29 @@ export class ImaraContainer extends HTMLElement {
             'max-width',
             'center',
             'full-height',
-            'scroll'
+            'scroll',
+            'layout-sm',
+            'layout-md',
+            'layout-lg',
+            'layout-xl',
+            'direction-sm',
+            'direction-md',
+            'direction-lg',
+            'direction-xl',
+            'columns-sm',
+            'columns-md',
+            'columns-lg',
+            'columns-xl',
+            'gap-sm',
+            'gap-md',
+            'gap-lg',
+            'gap-xl',
+            'padding-sm',
+            'padding-md',
+            'padding-lg',
+            'padding-xl',
+            'breakpoints',
+            'container-queries'
         ];
     }
     constructor() {
@@ -38,6 +102,7 @@ export class ImaraContainer extends HTMLElement {
     // ----------------------------
     // Render
     // ----------------------------
+    /** @internal */
     render() {
         if (!this.shadowRoot)
             return;
@@ -55,19 +120,27 @@ export class ImaraContainer extends HTMLElement {
         }
 
         .container {
-          display: block;
+          /* Breakpoint values (--bp-*) come from the breakpoint stylesheet;
+             reset here so a nested container does not inherit them */
+          --bp-display: initial;
+          --bp-direction: initial;
+          --bp-grid-template-columns: initial;
+          --bp-gap: initial;
+          --bp-padding: initial;
+
+          display: var(--bp-display, block);
 
           /* Flex defaults */
-          flex-direction: row;
-          align-items: stretch;
-          justify-content: flex-start;
+          flex-direction: var(--bp-direction, var(--direction, row));
+          align-items: var(--align, stretch);
+          justify-content: var(--justify, flex-start);
 
           /* Grid defaults */
-          grid-template-columns: 1fr;
+          grid-template-columns: var(--bp-grid-template-columns, var(--grid-template-columns, 1fr));
 
           /* Spacing */
-          gap: var(--gap, 0);
-          padding: var(--padding, 0);
+          gap: var(--bp-gap, var(--gap, 0));
+          padding: var(--bp-padding, var(--padding, 0));
           margin: var(--margin, 0);
 
           /* Sizing */
@@ -81,12 +154,16 @@ export class ImaraContainer extends HTMLElement {
 
         /* Layout modes */
         :host([layout="flex"]) .container {
-          display: flex;
+          display: var(--bp-display, flex);
         }
 
         :host([layout="grid"]) .container {
-          display: grid;
-          grid-template-columns: var(--grid-template-columns, 1fr);
+          display: var(--bp-display, grid);
+        }
+
+        /* Breakpoints match the container's width */
+        :host([container-queries]) {
+          container-type: inline-size;
         }
 
         /* Utilities */
@@ -106,16 +183,19 @@ export class ImaraContainer extends HTMLElement {
           box-sizing: border-box;
         }
       </style>
+      <style class="breakpoints"></style>
 
       <div class="container">
         <slot></slot>
       </div>
     `;
         this.container = this.shadowRoot.querySelector('.container');
+        this.breakpointStyle = this.shadowRoot.querySelector('.breakpoints');
     }
     // ----------------------------
     // Sync
     // ----------------------------
+    /** @internal */
     sync() {
         if (!this.container)
             return;
@@ -124,10 +204,12 @@ export class ImaraContainer extends HTMLElement {
         this.applyGrid();
         this.applySpacing();
         this.applySizing();
+        this.applyBreakpoints();
     }
     // ----------------------------
     // Layout
     // ----------------------------
+    /** @internal */
     applyLayout() {
         const layout = this.getAttribute('layout');
         if (!layout ||
@@ -138,16 +220,26 @@ export class ImaraContainer extends HTMLElement {
     // ----------------------------
     // Flex
     // ----------------------------
+    /**
+     * Set whatever the layout, so a breakpoint that switches to flex
+     * picks them up
+     * @internal
+     */
     applyFlex() {
-        if (this.getAttribute('layout') !== 'flex')
-            return;
-        this.container.style.flexDirection =
-            this.getAttribute('direction') || 'row';
-        this.container.style.alignItems =
-            this.mapAlign(this.getAttribute('align'));
-        this.container.style.justifyContent =
-            this.mapJustify(this.getAttribute('justify'));
+        this.setVar('--direction', this.mapDirection(this.getAttribute('direction')));
+        this.setVar('--align', this.mapAlign(this.getAttribute('align')));
+        this.setVar('--justify', this.mapJustify(this.getAttribute('justify')));
+    }
+    /** @internal */
+    mapDirection(value) {
+        if (value === 'column' ||
+            value === 'row-reverse' ||
+            value === 'column-reverse') {
+            return value;
+        }
+        return 'row';
     }
+    /** @internal */
     mapAlign(value) {
         if (value === 'start')
             return 'flex-start';
@@ -160,6 +252,7 @@ export class ImaraContainer extends HTMLElement {
         }
         return 'stretch';
     }
+    /** @internal */
     mapJustify(value) {
         if (value === 'start')
             return 'flex-start';
@@ -176,28 +269,32 @@ export class ImaraContainer extends HTMLElement {
     // ----------------------------
     // Grid
     // ----------------------------
+    /**
+     * Set whatever the layout, so a breakpoint that switches to grid
+     * picks it up
+     * @internal
+     */
     applyGrid() {
-        if (this.getAttribute('layout') !== 'grid') {
-            this.container.style.removeProperty('--grid-template-columns');
-            return;
-        }
-        const columns = this.getAttribute('columns');
-        const minWidth = this.normalizeUnit(this.getAttribute('min-column-width') || '250px');
+        this.container.style.setProperty('--grid-template-columns', this.columnsTemplate(this.getAttribute('columns')));
+    }
+    /** @internal */
+    columnsTemplate(columns) {
         if (columns && /^\d+$/.test(columns)) {
-            this.container.style.setProperty('--grid-template-columns', 'repeat(' + columns + ', 1fr)');
-        }
-        else {
-            this.container.style.setProperty('--grid-template-columns', 'repeat(auto-fit, minmax(' + minWidth + ', 1fr))');
+            return 'repeat(' + columns + ', 1fr)';
         }
+        const minWidth = this.normalizeUnit(this.cssValue(this.getAttribute('min-column-width')) || '250px');
+        return 'repeat(auto-fit, minmax(' + minWidth + ', 1fr))';
     }
     // ----------------------------
     // Spacing
     // ----------------------------
+    /** @internal */
     applySpacing() {
         this.setVar('--gap', this.normalizeUnit(this.getAttribute('gap')));
         this.setVar('--padding', this.resolvePadding(this.getAttribute('padding')));
         this.setVar('--margin', this.normalizeUnit(this.getAttribute('margin')));
     }
+    /** @internal */
     resolvePadding(value) {
         if (!value)
             return '0';
@@ -209,19 +306,97 @@ export class ImaraContainer extends HTMLElement {
     // ----------------------------
     // Sizing
     // ----------------------------
+    /** @internal */
     applySizing() {
         this.setVar('--width', this.normalizeUnit(this.getAttribute('width')));
         this.setVar('--height', this.normalizeUnit(this.getAttribute('height')));
         this.setVar('--max-width', this.normalizeUnit(this.getAttribute('max-width')));
     }
     // ----------------------------
+    // Breakpoints
+    // ----------------------------
+    /**
+     * Writes the suffixed attributes (`columns-md`, ...) as min-width
+     * media queries, or container queries with `container-queries`, that
+     * override the base values
+     * @internal
+     */
+    applyBreakpoints() {
+        const query = this.hasAttribute('container-queries') ? '@container' : '@media';
+        const widths = this.breakpointWidths();
+        const blocks = [];
+        for (const name of Object.keys(ImaraContainer.BREAKPOINTS)) {
+            const declarations = this.breakpointDeclarations(name);
+            if (declarations.length && widths[name]) {
+                blocks.push(query + ' (min-width: ' + widths[name] + ') {\n  .container { ' + declarations.join(' ') + ' }\n}');
+            }
+        }
+        this.breakpointStyle.textContent = blocks.join('\n');
+    }
+    /**
+     * `ImaraContainer.BREAKPOINTS`, with the widths from the
+     * `breakpoints` attribute taking precedence
+     * @internal
+     */
+    breakpointWidths() {
+        const widths = {};
+        for (const [name, width] of Object.entries(ImaraContainer.BREAKPOINTS)) {
+            widths[name] = this.normalizeUnit(this.cssValue(String(width)));
+        }
+        for (const pair of (this.getAttribute('breakpoints') || '').split(/[\s,]+/)) {
+            const [name, width] = pair.split(':');
+            if (name in widths && this.cssValue(width)) {
+                widths[name] = this.normalizeUnit(width);
+            }
+        }
+        return widths;
+    }
+    /** @internal */
+    breakpointDeclarations(name) {
+        const read = (property) => this.cssValue(this.getAttribute(property + '-' + name));
+        const declarations = [];
+        const layout = read('layout');
+        if (layout === 'block' || layout === 'flex' || layout === 'grid') {
+            declarations.push('--bp-display: ' + layout + ';');
+        }
+        const direction = read('direction');
+        if (direction) {
+            declarations.push('--bp-direction: ' + this.mapDirection(direction) + ';');
+        }
+        const columns = read('columns');
+        if (columns) {
+            declarations.push('--bp-grid-template-columns: ' + this.columnsTemplate(columns) + ';');
+        }
+        const gap = read('gap');
+        if (gap) {
+            declarations.push('--bp-gap: ' + this.normalizeUnit(gap) + ';');
+        }
+        const padding = read('padding');
+        if (padding) {
+            declarations.push('--bp-padding: ' + this.resolvePadding(padding) + ';');
+        }
+        return declarations;
+    }
+    // ----------------------------
     // Helpers
     // ----------------------------
+    /**
+     * Values written into stylesheet text must not end the declaration or rule
+     * @returns The trimmed value, or null when it is missing or unsafe
+     * @internal
+     */
+    cssValue(value) {
+        if (!value || /[;{}<>\\]|\/\*/.test(value))
+            return null;
+        return value.trim() || null;
+    }
+    /** @internal */
     normalizeUnit(value) {
         if (!value)
             return 'auto';
         return /^\d+$/.test(value) ? value + 'px' : value;
     }
+    /** @internal */
     setVar(name, value) {
         if (value === 'auto') {
             this.container.style.removeProperty(name);
@@ -238,9 +413,47 @@ ImaraContainer.PADDING_SCALE = {
     lg: '1.5rem',
     xl: '2rem'
 };
-// Register
-if (!customElements.get('imara-container')) {
-    customElements.define('imara-container', ImaraContainer);
+/**
+ * Minimum widths of the breakpoint suffixes, smallest first. Change the
+ * widths here for every container, or per container with the
+ * `breakpoints` attribute.
+ */
+ImaraContainer.BREAKPOINTS = {
+    sm: '640px',
+    md: '768px',
+    lg: '1024px',
+    xl: '1280px'
+};
+/**
+ * Default tag name for ImaraContainer
+ */
+export const TAG_NAME = 'imara-container';
+/**
+ * Registers ImaraContainer as a custom element
+ *
+ * Safe to call more than once: nothing happens if the tag is already
+ * defined in the registry. The platform allows one name per constructor
+ * and registry, so a second tag name in the same registry is backed by a
+ * subclass.
+ *
+ * @param tagName - Tag to register (default `imara-container`)
+ * @param registry - Registry to define it in, e.g. a scoped
+ * `CustomElementRegistry` (default the global `customElements`)
+ * @returns The tag name the element is available under
+ */
+export function define(tagName = TAG_NAME, registry = customElements) {
+    if (registry.get(tagName)) {
+        return tagName;
+    }
+    try {
+        registry.define(tagName, ImaraContainer);
+    }
+    catch (_error) {
+        // The class already has a name here; an invalid tag name throws again below
+        registry.define(tagName, class extends ImaraContainer {
+        });
+    }
+    return tagName;
 }
 export default ImaraContainer;
 //# sourceMappingURL=imara-container.js.map
\ No newline at end of file
@@ -1,12 +1,17 @@
 /**
- * App Input Component
+ * Imara Container Component
  *
- * A production-ready, accessible input web component built with
+ * A production-ready, accessible layout web component built with
  * vanilla TypeScript and Web Components standards.
  *
- * @module app-input
+ * @module imara-container
  */
-export { ImaraContainer } from './imara-container.js';
-// Auto-register the component when imported
-import './imara-container.js';
+export { ImaraContainer, TAG_NAME, define } from './imara-container.js';
+import { define } from './imara-container.js';
+// Auto-register the component when imported. Set
+// `globalThis.imaraAutoDefine = false` before loading to register it
+// yourself with define(), e.g. under another prefix or in a scoped registry.
+if (globalThis.imaraAutoDefine !== false) {
+    define();
+}
 //# sourceMappingURL=index.js.map
\ No newline at end of file
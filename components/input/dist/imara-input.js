@@ -1,31 +1,121 @@
 /**
- * AppInput - A reusable, accessible input web component
- * * @element app-input
- * * @attr {string} type - Input type (text | password | email | number | search)
+ * ImaraInput - A reusable, accessible input web component
+ *
+ * @element imara-input
+ *
+ * @attr {string} type - Input type (text | password | email | number | search)
  * @attr {string} value - Input value
  * @attr {string} placeholder - Placeholder text
  * @attr {string} label - Label text
  * @attr {boolean} disabled - Disables the input
  * @attr {boolean} readonly - Makes input read-only
  * @attr {boolean} required - Marks input as required
- * @attr {boolean} error - Shows error state
+ * @attr {string} error - Shows error state; a non-empty value is used as the message (default "Invalid input")
  * @attr {string} name - Input name attribute
- * * @fires input - Dispatched when input value changes
+ * @attr {string} pattern - Regular expression the value must match
+ * @attr {number} minlength - Minimum number of characters
+ * @attr {number} maxlength - Maximum number of characters
+ * @attr {string} min - Minimum value (number and date-like types); number mode clamps to it on blur
+ * @attr {string} max - Maximum value (number and date-like types); number mode clamps to it on blur
+ * @attr {string} step - Granularity of the value (number and date-like types); the increment of the stepper, arrow keys and wheel
+ * @attr {string} locale - Number mode: BCP 47 locale for parsing and display (default the nearest `lang`, else the browser's)
+ * @attr {string} number-style - Number mode: decimal | currency | percent (default decimal)
+ * @attr {string} currency - Number mode: ISO 4217 code shown by the currency style, e.g. `EUR`
+ * @attr {number} precision - Number mode: fraction digits shown and kept on blur
+ * @attr {boolean} stepper - Number mode: shows increment and decrement buttons
+ * @attr {string} validate-on - When validation messages appear (input | blur | submit), default blur
+ * @attr {number} validate-debounce - Milliseconds to wait before running async validators (default 300)
+ * @attr {string} pending-message - Shown while async validators run (default "Checking…")
+ * @attr {boolean} revealable - Adds a show/hide toggle to password fields
+ * @attr {string} reveal-label - Accessible name of the show/hide toggle (default "Show password")
+ * @attr {boolean} clearable - Adds a button that clears the value
+ * @attr {string} clear-label - Accessible name of the clear button (default "Clear")
+ * @attr {boolean} show-counter - Shows the character count, against maxlength when set
+ * @attr {string} caps-lock-message - Warning shown in password fields while Caps Lock is on (default "Caps Lock is on")
+ * @attr {string} autocomplete - Browser autofill hint forwarded to the input (default "off"; always off in combobox mode)
+ * @attr {boolean} must-select - Combobox mode only accepts values picked from the suggestions
+ * @attr {number} min-chars - Characters typed before suggestions appear (default 1; 0 opens them on focus)
+ * @attr {number} suggest-debounce - Milliseconds to wait before calling `source` (default 200)
+ * @attr {string} mask - Input mask: `9` digit, `a` letter, `*` letter or digit, anything else literal, e.g. `(999) 999-9999`
+ *
+ * @fires input - Dispatched when input value changes
  * @fires change - Dispatched when input loses focus after value change
  * @fires focus - Dispatched when input receives focus
  * @fires blur - Dispatched when input loses focus
- * * @slot - Default slot for helper text or error message
+ * @fires option-select - Dispatched when a suggestion is chosen, with `detail.option` ({ label, value }) and `detail.value`
+ * @fires suggestion-error - Dispatched when `source` throws or rejects, with `detail.error` and `detail.query`
+ *
+ * @slot - Default slot for helper text or error message
  * @slot prefix - Slot for prefix content (icons, text)
  * @slot suffix - Slot for suffix content (icons, buttons)
- */
-/**
- * AppInput - A reusable, accessible input web component
+ *
+ * @csspart wrapper - Outer wrapper around label, field and helper text
+ * @csspart label - The label element
+ * @csspart label-text - Text inside the label
+ * @csspart container - Bordered box around prefix, input and suffix
+ * @csspart prefix - Prefix slot wrapper
+ * @csspart input - The native input element
+ * @csspart suffix - Suffix slot wrapper
+ * @csspart clear-button - Button that clears the value
+ * @csspart reveal-button - Show/hide toggle of password fields
+ * @csspart stepper - Wrapper of the increment and decrement buttons
+ * @csspart increment - Button that steps the number up
+ * @csspart decrement - Button that steps the number down
+ * @csspart listbox - Suggestion popup in combobox mode
+ * @csspart option - A suggestion
+ * @csspart option-active - The suggestion highlighted with the keyboard or pointer
+ * @csspart match - The part of a suggestion that matches the typed text
+ * @csspart helper - Helper text wrapper
+ * @csspart message - Validation message inside the helper area
+ * @csspart caps-lock - Caps Lock warning inside the helper area
+ * @csspart counter - Character counter inside the helper area
+ *
+ * @cssprop --input-border-color - Border color
+ * @cssprop --input-border-color-hover - Border color on hover
+ * @cssprop --input-border-color-focus - Border color when focused
+ * @cssprop --input-border-color-error - Border color in error state
+ * @cssprop --input-bg - Background color
+ * @cssprop --input-bg-disabled - Background color when disabled or read-only
+ * @cssprop --input-text-color - Text color
+ * @cssprop --input-text-color-disabled - Text color when disabled
+ * @cssprop --input-placeholder-color - Placeholder and affix color
+ * @cssprop --input-label-color - Label color
+ * @cssprop --input-label-color-required - Color of the required marker
+ * @cssprop --input-helper-color - Helper text color
+ * @cssprop --input-error-color - Label and helper color in error state
+ * @cssprop --input-border-radius - Corner radius
+ * @cssprop --input-border-width - Border width
+ * @cssprop --input-padding - Inner padding of the field
+ * @cssprop --input-font-size - Field font size
+ * @cssprop --input-line-height - Line height
+ * @cssprop --input-label-font-size - Label font size
+ * @cssprop --input-label-font-weight - Label font weight
+ * @cssprop --input-label-margin-bottom - Space between label and field
+ * @cssprop --input-helper-font-size - Helper text font size
+ * @cssprop --input-helper-margin-top - Space between field and helper text
+ * @cssprop --input-focus-ring - Box shadow shown on focus
+ * @cssprop --input-transition - Transition for state changes
+ * @cssprop --input-action-color - Color of the clear and show/hide buttons
+ * @cssprop --input-action-color-hover - Color of the clear and show/hide buttons on hover
+ * @cssprop --input-counter-color - Counter color
+ * @cssprop --input-counter-warning - Counter color near the limit
+ * @cssprop --input-counter-error - Counter color at the limit
+ * @cssprop --input-caps-lock-color - Caps Lock warning color
+ * @cssprop --input-listbox-bg - Suggestion popup background
+ * @cssprop --input-listbox-shadow - Suggestion popup shadow
+ * @cssprop --input-listbox-max-height - Height after which the suggestion popup scrolls
+ * @cssprop --input-option-active-bg - Background of the highlighted suggestion
  */
 export class ImaraInput extends HTMLElement {
     static get observedAttributes() {
         return [
             'type', 'value', 'placeholder', 'label',
-            'disabled', 'readonly', 'required', 'error', 'name'
+            'disabled', 'readonly', 'required', 'error', 'name',
+            'pattern', 'minlength', 'maxlength', 'min', 'max', 'step',
+            'validate-on', 'validate-debounce', 'pending-message', 'mask',
+            'revealable', 'reveal-label', 'clearable', 'clear-label', 'show-counter', 'caps-lock-message',
+            'autocomplete', 'must-select', 'min-chars', 'suggest-debounce',
+            'locale', 'number-style', 'currency', 'precision', 'stepper'
         ];
     }
     constructor() {
@@ -34,82 +124,327 @@ export class ImaraInput extends HTMLElement {
         this.labelElement = null;
         // REMOVED: _helperElement to satisfy strict TS6133 checks
         this.internals = null;
+        this._validators = [];
+        // Result of the last validation pass: { flags, message }
+        this.validationResult = { flags: {}, message: '' };
+        this.validationPending = false;
+        // Messages stay hidden until validate-on says the user should see them
+        this.validationShown = false;
+        this.validationController = null;
+        this.validationTimer = undefined;
+        // Rules seen returning a promise; later passes only call them once debounced
+        this.asyncValidators = new WeakSet();
+        // Settles when the scheduled async validators finish or are cancelled
+        this.pendingValidation = Promise.resolve();
+        this.settleValidation = null;
+        this.customMessage = '';
+        this._formatter = null;
+        this.maskFormatter = null;
+        // Value the owner form resets to; taken from the value attribute on first connect
+        this._defaultValue = null;
+        // Set by formDisabledCallback when an ancestor fieldset is disabled
+        this.formDisabled = false;
+        this.clearButton = null;
+        this.revealButton = null;
+        this.counterElement = null;
+        this.capsLockElement = null;
+        // Password shown as plain text through the reveal toggle
+        this.revealed = false;
+        this.listboxElement = null;
+        this.comboboxStatus = null;
+        this._suggestions = null;
+        this._source = null;
+        // Suggestions currently listed, as { label, value }
+        this.options = [];
+        this.activeIndex = -1;
+        this._selectedOption = null;
+        this.suggestController = null;
+        this.suggestTimer = undefined;
+        this.stepperElement = null;
+        // Number mode: text that does not parse as a number is kept on screen
+        // while the value attribute is empty, like a native badInput
+        this.badNumber = false;
+        // Intl.NumberFormat instances and separators for the current locale options
+        this.numberFormatCache = null;
+        this.listening = false;
+        this.inputFocused = false;
+        // Focus and selection to restore when the element is moved, i.e.
+        // reinserted before the task that removed it ends
+        this.pendingFocus = null;
         this.handleInput = (event) => {
             const inputEvent = event;
             const target = event.target;
-            this.setAttribute('value', target.value);
+            if (this.formatter && !inputEvent.isComposing)
+                this.applyFormatter(target, inputEvent.inputType);
+            if (this.validateOn === 'input')
+                this.validationShown = true;
+            if (this.isNumberMode()) {
+                this.reflectNumberInput(target.value);
+            }
+            else {
+                // Reflecting the value re-runs validation through updateInputState
+                this.setAttribute('value', target.value);
+            }
             if (this.internals)
-                this.internals.setFormValue(target.value);
+                this.internals.setFormValue(this.formValue(), this.formState(this.isNumberMode() ? this.value : target.value));
             this.dispatchEvent(new CustomEvent('input', {
                 bubbles: true, composed: true,
-                detail: { value: target.value, inputType: inputEvent.inputType }
+                detail: { value: target.value, unmaskedValue: this.unmaskedValue, inputType: inputEvent.inputType }
             }));
+            if (this.isCombobox())
+                this.requestSuggestions(target.value);
         };
-        this.handleChange = (event) => {
-            const target = event.target;
+        this.handleChange = () => {
+            if (this.isNumberMode())
+                this.commitNumber();
             this.dispatchEvent(new CustomEvent('change', {
-                bubbles: true, composed: true, detail: { value: target.value }
+                bubbles: true, composed: true, detail: { value: this.value }
             }));
         };
         this.handleFocus = (event) => {
+            this.inputFocused = true;
+            this.updateLabelling();
+            // Edit the bare number; grouping, symbols and rounding return on blur
+            if (this.isNumberMode() && !this.badNumber)
+                event.target.value = this.formatNumber(this.valueAsNumber, true);
+            if (this.isCombobox() && this.minChars === 0)
+                this.requestSuggestions(event.target.value);
             this.dispatchEvent(new CustomEvent('focus', {
                 bubbles: true, composed: true, detail: { value: event.target.value }
             }));
         };
+        this.handleKeydown = (event) => {
+            if (this.isCombobox() && !event.isComposing)
+                this.handleComboboxKeydown(event);
+            else if (this.isNumberMode() && !event.isComposing)
+                this.handleNumberKeydown(event);
+            if (event.key !== 'Enter' || event.isComposing || event.defaultPrevented)
+                return;
+            if (this.isNumberMode())
+                this.commitNumber();
+            this.submitOwnerForm();
+        };
+        // Only a focused field takes wheel steps, so scrolling past it is unaffected
+        this.handleWheel = (event) => {
+            if (!this.isNumberMode() || !event.deltaY || this.shadowRoot?.activeElement !== this.inputElement)
+                return;
+            if (this.inputElement.disabled || this.inputElement.readOnly)
+                return;
+            event.preventDefault();
+            this.stepBy(event.deltaY < 0 ? 1 : -1, true);
+        };
+        // Keeps focus where it was while a stepper button is pressed
+        this.handleStepperMouseDown = (event) => {
+            event.preventDefault();
+        };
+        this.handleStepperClick = (event) => {
+            const button = event.target.closest('.step-button');
+            if (button && !button.disabled)
+                this.stepBy(Number(button.dataset.step), true);
+        };
+        // Keeps focus in the input while an option is clicked
+        this.handleOptionPointerDown = (event) => {
+            event.preventDefault();
+        };
+        this.handleOptionClick = (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (option)
+                this.selectOption(Number(option.dataset.index));
+        };
+        this.handleOptionHover = (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (option)
+                this.setActiveOption(Number(option.dataset.index), false);
+        };
+        this.handleCapsLock = (event) => {
+            if (typeof event.getModifierState === 'function') {
+                this.updateCapsLock(event.getModifierState('CapsLock'));
+            }
+        };
+        this.handleClear = () => {
+            if (!this.inputElement || this.inputElement.value === '')
+                return;
+            if (this.validateOn === 'input')
+                this.validationShown = true;
+            this.badNumber = false;
+            this.setAttribute('value', '');
+            this.updateInputState();
+            this.dispatchEvent(new CustomEvent('input', {
+                bubbles: true, composed: true,
+                detail: { value: '', unmaskedValue: '', inputType: 'deleteContent' }
+            }));
+            this.dispatchEvent(new CustomEvent('change', {
+                bubbles: true, composed: true, detail: { value: '' }
+            }));
+            // The button hides itself once the value is empty
+            this.inputElement.focus();
+        };
+        this.handleRevealToggle = () => {
+            // Changing the input type drops the selection in some browsers
+            const { selectionStart, selectionEnd } = this.inputElement;
+            this.revealed = !this.revealed;
+            this.updateInputState();
+            if (selectionStart !== null) {
+                this.inputElement.setSelectionRange(selectionStart, selectionEnd);
+            }
+        };
         this.handleBlur = (event) => {
+            // Some browsers blur on removal; a move still restores the focus
+            queueMicrotask(() => {
+                this.inputFocused = this.shadowRoot?.activeElement === this.inputElement;
+            });
+            this.updateCapsLock(false);
+            if (this.isNumberMode())
+                this.commitNumber();
+            if (this.isCombobox())
+                this.closeListbox(true);
+            if (this.validateOn === 'blur' && !this.validationShown) {
+                this.validationShown = true;
+                this.renderValidation();
+            }
             this.dispatchEvent(new CustomEvent('blur', {
                 bubbles: true, composed: true, detail: { value: event.target.value }
             }));
         };
-        this.attachShadow({ mode: 'open' });
+        // Fired at the host when the owner form is validated, e.g. on submit
+        this.handleInvalid = () => {
+            if (!this.validationShown) {
+                this.validationShown = true;
+                this.renderValidation();
+            }
+        };
+        // delegatesFocus lets external <label for> elements and host.focus() reach the input
+        this.attachShadow({ mode: 'open', delegatesFocus: true });
         if ('attachInternals' in this) {
             this.internals = this.attachInternals();
         }
     }
     connectedCallback() {
+        if (this._defaultValue === null) {
+            this._defaultValue = this.getAttribute('value') ?? '';
+        }
+        // Renders once; a moved element keeps its shadow DOM and state
         this.render();
         this.attachEventListeners();
         this.updateInputState();
+        if (this.pendingFocus && this.inputElement) {
+            const { start, end, direction } = this.pendingFocus;
+            this.pendingFocus = null;
+            this.inputElement.focus({ preventScroll: true });
+            // Types like email have no selection API
+            if (start !== null) {
+                this.inputElement.setSelectionRange(start, end, direction ?? undefined);
+            }
+        }
     }
     disconnectedCallback() {
+        if (this.inputFocused && this.inputElement) {
+            const { selectionStart, selectionEnd, selectionDirection } = this.inputElement;
+            this.pendingFocus = { start: selectionStart, end: selectionEnd, direction: selectionDirection };
+            queueMicrotask(() => { this.pendingFocus = null; });
+        }
+        this.inputFocused = false;
         this.removeEventListeners();
+        this.cancelAsyncValidation();
+        this.validationPending = false;
+        this.cancelSuggestions();
     }
+    /**
+     * Called instead of the disconnected and connected callbacks when the
+     * element is moved with `moveBefore()`, which keeps focus, selection
+     * and IME composition as they are
+     */
+    connectedMoveCallback() { }
     attributeChangedCallback(_name, oldValue, newValue) {
         if (oldValue !== newValue) {
             this.updateInputState();
         }
     }
-    async render() {
-        if (!this.shadowRoot)
+    formResetCallback() {
+        this.cancelAsyncValidation();
+        this.validationShown = false;
+        this.badNumber = false;
+        this._selectedOption = null;
+        if (this.listboxElement) {
+            this.setActiveOption(-1, false);
+            this.closeListbox(false);
+        }
+        this.setAttribute('value', this.defaultValue);
+        this.updateInputState();
+    }
+    formStateRestoreCallback(state) {
+        if (state instanceof FormData) {
+            // A chosen suggestion is saved as its label and value
+            const label = String(state.get('label') ?? '');
+            const value = String(state.get('value') ?? '');
+            this._selectedOption = this.findOption(value) ?? { label, value };
+            this.setAttribute('value', label);
+            this.updateInputState();
+            return;
+        }
+        this._selectedOption = null;
+        this.setAttribute('value', typeof state === 'string' ? state : '');
+    }
+    formDisabledCallback(disabled) {
+        this.formDisabled = disabled;
+        this.updateInputState();
+    }
+    /**
+     * Builds the shadow DOM on first connection only
+     * @internal
+     */
+    render() {
+        if (!this.shadowRoot || this.inputElement)
             return;
+        adoptStyles(this.shadowRoot, this.getStyles());
         const template = this.getTemplate();
-        const styles = this.getStyles();
-        this.shadowRoot.innerHTML = '';
-        const styleElement = document.createElement('style');
-        styleElement.textContent = styles;
-        this.shadowRoot.appendChild(styleElement);
         const templateElement = document.createElement('template');
         templateElement.innerHTML = template;
         this.shadowRoot.appendChild(templateElement.content.cloneNode(true));
         this.inputElement = this.shadowRoot.querySelector('input');
         this.labelElement = this.shadowRoot.querySelector('label');
+        this.clearButton = this.shadowRoot.querySelector('.clear-button');
+        this.revealButton = this.shadowRoot.querySelector('.reveal-button');
+        this.counterElement = this.shadowRoot.querySelector('.counter');
+        this.capsLockElement = this.shadowRoot.querySelector('.caps-lock');
+        this.listboxElement = this.shadowRoot.querySelector('.listbox');
+        this.comboboxStatus = this.shadowRoot.querySelector('.combobox-status');
+        this.stepperElement = this.shadowRoot.querySelector('.stepper');
         // REMOVED: assignment to _helperElement
     }
+    /** @internal */
     getTemplate() {
         return `
       <div class="input-wrapper" part="wrapper">
-        <label class="input-label" part="label">
+        <label class="input-label" part="label" for="input">
           <span class="label-text" part="label-text"></span>
         </label>
         <div class="input-container" part="container">
           <div class="prefix-slot" part="prefix"><slot name="prefix"></slot></div>
-          <input class="input-field" part="input" autocomplete="off" />
+          <input class="input-field" part="input" id="input" autocomplete="off" aria-describedby="message" />
+          <button class="action-button clear-button" part="clear-button" type="button" hidden>
+            <svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" /></svg>
+          </button>
+          <button class="action-button reveal-button" part="reveal-button" type="button" aria-pressed="false" hidden>
+            <svg viewBox="0 0 16 16" aria-hidden="true"><path d="M1.5 8s2.5-4.5 6.5-4.5S14.5 8 14.5 8s-2.5 4.5-6.5 4.5S1.5 8 1.5 8z" fill="none" stroke="currentColor" stroke-width="1.5" /><circle cx="8" cy="8" r="2" fill="currentColor" /><path class="reveal-slash" d="M2.5 13.5l11-11" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" /></svg>
+          </button>
+          <div class="stepper" part="stepper" hidden>
+            <button class="step-button" part="increment" type="button" tabindex="-1" data-step="1" aria-label="Increase">
+              <svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 10l4-4 4 4" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" /></svg>
+            </button>
+            <button class="step-button" part="decrement" type="button" tabindex="-1" data-step="-1" aria-label="Decrease">
+              <svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 6l4 4 4-4" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" /></svg>
+            </button>
+          </div>
           <div class="suffix-slot" part="suffix"><slot name="suffix"></slot></div>
+          <ul class="listbox" part="listbox" id="listbox" role="listbox" hidden></ul>
         </div>
-        <div class="helper-text" part="helper"><slot></slot></div>
+        <span class="combobox-status" role="status"></span>
+        <div class="helper-text" part="helper"><span class="validation-message" part="message" id="message" aria-live="polite"></span><slot></slot><span class="caps-lock" part="caps-lock" id="caps-lock" role="status" hidden></span><span class="counter" part="counter" aria-live="polite" aria-atomic="true" hidden></span></div>
       </div>
     `;
     }
+    /** @internal */
     getStyles() {
         return `
       :host {
@@ -140,6 +475,16 @@ export class ImaraInput extends HTMLElement {
         --input-helper-margin-top: 6px;
         --input-focus-ring: 0 0 0 3px rgba(37, 99, 235, 0.1);
         --input-transition: all 0.2s ease;
+        --input-action-color: #6b7280;
+        --input-action-color-hover: #1f2937;
+        --input-counter-color: #6b7280;
+        --input-counter-warning: #f59e0b;
+        --input-counter-error: #ef4444;
+        --input-caps-lock-color: #b45309;
+        --input-listbox-bg: #ffffff;
+        --input-listbox-shadow: 0 4px 16px rgba(0, 0, 0, 0.12);
+        --input-listbox-max-height: 240px;
+        --input-option-active-bg: #eff6ff;
       }
       .input-wrapper { display: flex; flex-direction: column; }
       .input-label { display: block; margin-bottom: var(--input-label-margin-bottom); }
@@ -157,35 +502,84 @@ export class ImaraInput extends HTMLElement {
       .suffix-slot:not(:has(*)) { display: none; }
       .prefix-slot:has(*) ~ .input-field { padding-left: 8px; }
       .input-container:has(.suffix-slot *) .input-field { padding-right: 8px; }
-      :host(:not([disabled])) .input-container:hover { border-color: var(--input-border-color-hover); }
-      :host(:not([disabled])) .input-container:has(.input-field:focus) { border-color: var(--input-border-color-focus); box-shadow: var(--input-focus-ring); }
-      :host([disabled]) .input-container { background-color: var(--input-bg-disabled); cursor: not-allowed; }
-      :host([disabled]) .input-field { color: var(--input-text-color-disabled); cursor: not-allowed; }
-      :host([disabled]) .label-text { color: var(--input-text-color-disabled); }
+      :host(:not([disabled]):not(:disabled)) .input-container:hover { border-color: var(--input-border-color-hover); }
+      :host(:not([disabled]):not(:disabled)) .input-container:has(.input-field:focus) { border-color: var(--input-border-color-focus); box-shadow: var(--input-focus-ring); }
+      :host([disabled]) .input-container, :host(:disabled) .input-container { background-color: var(--input-bg-disabled); cursor: not-allowed; }
+      :host([disabled]) .input-field, :host(:disabled) .input-field { color: var(--input-text-color-disabled); cursor: not-allowed; }
+      :host([disabled]) .label-text, :host(:disabled) .label-text { color: var(--input-text-color-disabled); }
       :host([readonly]) .input-container { background-color: var(--input-bg-disabled); }
       :host([readonly]) .input-field { cursor: default; }
-      :host([error]) .input-container { border-color: var(--input-border-color-error); }
-      :host([error]) .input-container:has(.input-field:focus) { box-shadow: 0 0 0 3px rgba(220, 38, 38, 0.1); }
-      :host([error]) .label-text { color: var(--input-error-color); }
-      .helper-text { min-height: 1em; margin-top: var(--input-helper-margin-top); font-size: var(--input-helper-font-size); line-height: var(--input-line-height); color: var(--input-helper-color); }
-      :host([error]) .helper-text { color: var(--input-error-color); }
+      :host([error]) .input-container, :host([validation-state="invalid"]) .input-container { border-color: var(--input-border-color-error); }
+      :host([error]) .input-container:has(.input-field:focus), :host([validation-state="invalid"]) .input-container:has(.input-field:focus) { box-shadow: 0 0 0 3px rgba(220, 38, 38, 0.1); }
+      :host([error]) .label-text, :host([validation-state="invalid"]) .label-text { color: var(--input-error-color); }
+      .helper-text { display: flex; gap: 8px; min-height: 1em; margin-top: var(--input-helper-margin-top); font-size: var(--input-helper-font-size); line-height: var(--input-line-height); color: var(--input-helper-color); }
+      :host([error]) .helper-text, :host([validation-state="invalid"]) .helper-text { color: var(--input-error-color); }
+      .validation-message:empty { display: none; }
+      .validation-message:not(:empty) + slot { display: none; }
+      .action-button { display: flex; align-items: center; justify-content: center; flex-shrink: 0; width: 28px; height: 28px; margin-right: 4px; padding: 0; border: none; border-radius: 4px; background: transparent; color: var(--input-action-color); cursor: pointer; transition: var(--input-transition); }
+      .action-button:hover { color: var(--input-action-color-hover); }
+      .action-button:focus-visible { outline: none; box-shadow: var(--input-focus-ring); }
+      .action-button[hidden], .caps-lock[hidden], .counter[hidden] { display: none; }
+      .action-button svg { width: 16px; height: 16px; }
+      .reveal-button[aria-pressed="true"] .reveal-slash { display: none; }
+      .caps-lock { color: var(--input-caps-lock-color); }
+      .counter { margin-left: auto; color: var(--input-counter-color); font-weight: 500; font-variant-numeric: tabular-nums; }
+      .counter.warning { color: var(--input-counter-warning); }
+      .counter.error { color: var(--input-counter-error); font-weight: 600; }
+      .listbox { position: absolute; top: calc(100% + 4px); left: 0; right: 0; z-index: 10; max-height: var(--input-listbox-max-height); overflow-y: auto; margin: 0; padding: 4px; list-style: none; background: var(--input-listbox-bg); border-radius: var(--input-border-radius); box-shadow: var(--input-listbox-shadow); box-sizing: border-box; }
+      .listbox[hidden] { display: none; }
+      .option { padding: 8px 10px; border-radius: 4px; font-size: var(--input-font-size); color: var(--input-text-color); cursor: pointer; }
+      .option[aria-selected="true"] { background: var(--input-option-active-bg); }
+      .option mark { background: none; color: inherit; font-weight: 600; }
+      .combobox-status { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
       .helper-text:not(:has(*)) { display: none; margin-top: 0; }
-      .input-field[type="number"]::-webkit-inner-spin-button, .input-field[type="number"]::-webkit-outer-spin-button { -webkit-appearance: none; margin: 0; }
-      .input-field[type="number"] { -moz-appearance: textfield; }
+      :host([type="number"]) .input-field { font-variant-numeric: tabular-nums; }
+      .stepper { display: flex; flex-direction: column; align-self: stretch; flex-shrink: 0; border-left: var(--input-border-width) solid var(--input-border-color); }
+      .stepper[hidden] { display: none; }
+      .step-button { display: flex; flex: 1; align-items: center; justify-content: center; width: 28px; padding: 0; border: none; background: transparent; color: var(--input-action-color); cursor: pointer; transition: var(--input-transition); }
+      .step-button + .step-button { border-top: var(--input-border-width) solid var(--input-border-color); }
+      .step-button:hover:not(:disabled) { color: var(--input-action-color-hover); }
+      .step-button:disabled { opacity: 0.4; cursor: not-allowed; }
+      .step-button svg { width: 12px; height: 12px; }
       .input-field[type="search"]::-webkit-search-cancel-button { -webkit-appearance: none; }
     `;
     }
+    /** @internal */
     updateInputState() {
         if (!this.inputElement || !this.labelElement)
             return;
         const type = this.getAttribute('type') || 'text';
-        this.inputElement.type = type;
-        const value = this.getAttribute('value') || '';
+        const isPassword = type === 'password';
+        const isNumber = type === 'number';
+        if (!isPassword || !this.hasAttribute('revealable'))
+            this.revealed = false;
+        // Number mode parses and formats itself; the native number input cannot show grouping or a decimal comma
+        this.inputElement.type = (isPassword && this.revealed) || isNumber ? 'text' : type;
+        const formatter = this.formatter;
+        const attributeValue = this.getAttribute('value') || '';
+        let value = formatter ? formatter.format(formatter.unformat(attributeValue)) : attributeValue;
+        if (isNumber) {
+            value = this.numberText();
+        }
         if (this.inputElement.value !== value) {
             this.inputElement.value = value;
         }
         if (this.internals) {
-            this.internals.setFormValue(value);
+            // Number mode restores from the plain number, not the localized text
+            this.internals.setFormValue(this.formValue(), this.formState(isNumber ? this.value : value));
+        }
+        this.updateComboboxState();
+        this.updateSpinbuttonState();
+        // Digit-only masks bring up the numeric keyboard
+        if (this.maskFormatter && formatter === this.maskFormatter && this.maskFormatter.numeric) {
+            this.inputElement.inputMode = 'numeric';
+        }
+        else if (isNumber) {
+            // Some decimal keyboards have no minus key
+            this.inputElement.inputMode = this.numberLimits().min >= 0 ? 'decimal' : 'text';
+        }
+        else {
+            this.inputElement.removeAttribute('inputmode');
         }
         const placeholder = this.getAttribute('placeholder') || '';
         this.inputElement.placeholder = placeholder;
@@ -194,11 +588,12 @@ export class ImaraInput extends HTMLElement {
         if (labelText) {
             labelText.textContent = label;
         }
+        this.updateLabelling();
         const name = this.getAttribute('name') || '';
         if (name) {
             this.inputElement.name = name;
         }
-        const isDisabled = this.hasAttribute('disabled');
+        const isDisabled = this.hasAttribute('disabled') || this.formDisabled;
         this.inputElement.disabled = isDisabled;
         this.toggleAttribute('aria-disabled', isDisabled);
         const isReadonly = this.hasAttribute('readonly');
@@ -206,55 +601,1146 @@ export class ImaraInput extends HTMLElement {
         const isRequired = this.hasAttribute('required');
         this.inputElement.required = isRequired;
         this.inputElement.setAttribute('aria-required', isRequired.toString());
-        const hasError = this.hasAttribute('error');
-        this.inputElement.setAttribute('aria-invalid', hasError.toString());
+        for (const attribute of ['pattern', 'minlength', 'maxlength', 'min', 'max', 'step']) {
+            const constraint = this.getAttribute(attribute);
+            if (constraint === null) {
+                this.inputElement.removeAttribute(attribute);
+            }
+            else {
+                this.inputElement.setAttribute(attribute, constraint);
+            }
+        }
+        this.updateAffordances();
+        this.updateValidity();
+    }
+    /**
+     * Shows the clear button, reveal toggle and counter the attributes ask for
+     * @internal
+     */
+    updateAffordances() {
+        const editable = !this.inputElement.disabled && !this.inputElement.readOnly;
+        if (this.clearButton) {
+            this.clearButton.hidden = !this.hasAttribute('clearable') || !editable || this.inputElement.value === '';
+            this.clearButton.setAttribute('aria-label', this.getAttribute('clear-label') || 'Clear');
+        }
+        if (this.revealButton) {
+            // The name stays fixed; aria-pressed tells whether the password is shown
+            this.revealButton.hidden = !this.hasAttribute('revealable') || this.getAttribute('type') !== 'password';
+            this.revealButton.disabled = this.inputElement.disabled;
+            this.revealButton.setAttribute('aria-label', this.getAttribute('reveal-label') || 'Show password');
+            this.revealButton.setAttribute('aria-pressed', String(this.revealed));
+        }
+        if (this.counterElement) {
+            const length = this.inputElement.value.length;
+            const maxLength = parseInt(this.getAttribute('maxlength') ?? '', 10);
+            this.counterElement.hidden = !this.hasAttribute('show-counter');
+            this.counterElement.classList.remove('warning', 'error');
+            if (maxLength > 0) {
+                this.counterElement.textContent = `${length} / ${maxLength}`;
+                if (length >= maxLength) {
+                    this.counterElement.classList.add('error');
+                }
+                else if (length >= maxLength * 0.9) {
+                    this.counterElement.classList.add('warning');
+                }
+            }
+            else {
+                this.counterElement.textContent = `${length}`;
+            }
+        }
+        if (this.stepperElement) {
+            const number = this.valueAsNumber;
+            const { min, max } = this.numberLimits();
+            this.stepperElement.hidden = !this.isNumberMode() || !this.hasAttribute('stepper');
+            this.stepperElement.querySelector('[data-step="1"]').disabled = !editable || number >= max;
+            this.stepperElement.querySelector('[data-step="-1"]').disabled = !editable || number <= min;
+        }
+        if (this.getAttribute('type') !== 'password') {
+            this.updateCapsLock(false);
+        }
+    }
+    /**
+     * Shows the Caps Lock warning in password fields and adds it to the
+     * input's description
+     * @internal
+     */
+    updateCapsLock(on) {
+        if (!this.capsLockElement || !this.inputElement)
+            return;
+        const show = on && this.getAttribute('type') === 'password';
+        if (show === !this.capsLockElement.hidden)
+            return;
+        this.capsLockElement.hidden = !show;
+        this.capsLockElement.textContent = show ? this.getAttribute('caps-lock-message') || 'Caps Lock is on' : '';
+        this.inputElement.setAttribute('aria-describedby', show ? 'message caps-lock' : 'message');
+    }
+    /**
+     * Without a `label` attribute the input is named by the external
+     * `<label for>` elements pointing at the host, which cannot reference
+     * an element inside the shadow root
+     * @internal
+     */
+    updateLabelling() {
+        if (!this.inputElement)
+            return;
+        const labels = this.getAttribute('label') ? [] : Array.from(this.labels);
+        const text = labels.map((label) => label.textContent.trim()).filter(Boolean).join(' ');
+        if (text) {
+            this.inputElement.setAttribute('aria-label', text);
+        }
+        else {
+            this.inputElement.removeAttribute('aria-label');
+        }
+    }
+    /**
+     * The submitted value: the chosen suggestion's value while its label
+     * is displayed, else the unmasked text
+     * @internal
+     */
+    formValue() {
+        const option = this._selectedOption;
+        return option && option.label === this.value ? option.value : this.unmaskedValue;
+    }
+    /**
+     * The state the browser saves for restoring: the displayed text, or
+     * the chosen suggestion while its label is displayed
+     * @internal
+     */
+    formState(text) {
+        const option = this._selectedOption;
+        if (!option || option.label !== this.value)
+            return text;
+        const state = new FormData();
+        state.append('label', option.label);
+        state.append('value', option.value);
+        return state;
+    }
+    /**
+     * The listed or configured suggestion with the given value, if any
+     * @internal
+     */
+    findOption(value) {
+        const candidates = [...this.options, ...(this._suggestions ?? []).map((item) => this.normalizeOption(item))];
+        return candidates.find((option) => option.value === value) ?? null;
+    }
+    /** @internal */
+    isCombobox() {
+        return Boolean(this._source || this._suggestions);
+    }
+    /**
+     * Applies the WAI-ARIA combobox roles while suggestions are configured
+     * @internal
+     */
+    updateComboboxState() {
+        const input = this.inputElement;
+        if (this.isCombobox()) {
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-controls', 'listbox');
+            input.setAttribute('aria-expanded', String(!this.listboxElement.hidden));
+            // The browser's own suggestions would cover ours
+            input.setAttribute('autocomplete', 'off');
+            return;
+        }
+        for (const attribute of ['role', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-activedescendant']) {
+            input.removeAttribute(attribute);
+        }
+        input.setAttribute('autocomplete', this.getAttribute('autocomplete') || 'off');
+        this.closeListbox(false);
+    }
+    /**
+     * Lists suggestions for `query`: filtered from `suggestions` right
+     * away, or fetched from `source` after `suggest-debounce` with the
+     * previous request aborted
+     * @internal
+     */
+    requestSuggestions(query) {
+        this.cancelSuggestions();
+        if (query.length < this.minChars) {
+            this.closeListbox(false);
+            return;
+        }
+        if (!this._source) {
+            const needle = query.toLowerCase();
+            this.showOptions(this._suggestions.filter((item) => this.normalizeOption(item).label.toLowerCase().includes(needle)), query);
+            return;
+        }
+        const controller = new AbortController();
+        this.suggestController = controller;
+        const delay = parseInt(this.getAttribute('suggest-debounce') ?? '200', 10);
+        this.suggestTimer = setTimeout(async () => {
+            this.listboxElement.setAttribute('aria-busy', 'true');
+            let results = [];
+            try {
+                results = await this._source(query, controller.signal);
+            }
+            catch (error) {
+                if (!controller.signal.aborted) {
+                    this.dispatchEvent(new CustomEvent('suggestion-error', {
+                        bubbles: true, composed: true, detail: { error, query }
+                    }));
+                }
+            }
+            if (controller.signal.aborted)
+                return;
+            this.suggestController = null;
+            this.listboxElement.removeAttribute('aria-busy');
+            this.showOptions(Array.isArray(results) ? results : [], query);
+        }, Number.isNaN(delay) ? 200 : delay);
+    }
+    /** @internal */
+    cancelSuggestions() {
+        clearTimeout(this.suggestTimer);
+        this.suggestController?.abort();
+        this.suggestController = null;
+        this.listboxElement?.removeAttribute('aria-busy');
+    }
+    /** @internal */
+    normalizeOption(item) {
+        if (item !== null && typeof item === 'object') {
+            const label = String(item.label ?? item.value ?? '');
+            return { ...item, label, value: String(item.value ?? label) };
+        }
+        return { label: String(item), value: String(item) };
+    }
+    /**
+     * Renders the listbox, marking the part of each label that matches
+     * @internal
+     */
+    showOptions(items, query) {
+        const listbox = this.listboxElement;
+        this.options = items.map((item) => this.normalizeOption(item));
+        this.activeIndex = -1;
+        listbox.replaceChildren(...this.options.map((option, index) => {
+            const element = document.createElement('li');
+            element.className = 'option';
+            element.id = `option-${index}`;
+            element.dataset.index = String(index);
+            element.setAttribute('role', 'option');
+            element.setAttribute('part', 'option');
+            element.setAttribute('aria-selected', 'false');
+            const start = query ? option.label.toLowerCase().indexOf(query.toLowerCase()) : -1;
+            if (start === -1) {
+                element.textContent = option.label;
+            }
+            else {
+                const mark = document.createElement('mark');
+                mark.setAttribute('part', 'match');
+                mark.textContent = option.label.slice(start, start + query.length);
+                element.append(option.label.slice(0, start), mark, option.label.slice(start + query.length));
+            }
+            return element;
+        }));
+        const focused = this.shadowRoot.activeElement === this.inputElement;
+        listbox.hidden = !this.options.length || !focused;
+        this.inputElement.removeAttribute('aria-activedescendant');
+        this.inputElement.setAttribute('aria-expanded', String(!listbox.hidden));
+        if (focused) {
+            const count = this.options.length;
+            this.comboboxStatus.textContent = count ? `${count} suggestion${count === 1 ? '' : 's'} available` : 'No suggestions';
+        }
+    }
+    /**
+     * Closes the listbox; on blur a must-select field falls back to its
+     * last chosen option
+     * @internal
+     */
+    closeListbox(committing) {
+        if (!this.listboxElement)
+            return;
+        this.cancelSuggestions();
+        this.listboxElement.hidden = true;
+        this.activeIndex = -1;
+        this.inputElement?.removeAttribute('aria-activedescendant');
+        if (this.isCombobox())
+            this.inputElement?.setAttribute('aria-expanded', 'false');
+        if (committing && this.hasAttribute('must-select') && this.value !== (this._selectedOption?.label ?? '')) {
+            this.setAttribute('value', this._selectedOption?.label ?? '');
+        }
+    }
+    /** @internal */
+    setActiveOption(index, scroll = true) {
+        const previous = this.listboxElement.querySelector('[aria-selected="true"]');
+        previous?.setAttribute('aria-selected', 'false');
+        previous?.setAttribute('part', 'option');
+        this.activeIndex = index;
+        const element = this.listboxElement.children[index];
+        if (!element) {
+            this.inputElement.removeAttribute('aria-activedescendant');
+            return;
+        }
+        element.setAttribute('aria-selected', 'true');
+        element.setAttribute('part', 'option option-active');
+        this.inputElement.setAttribute('aria-activedescendant', element.id);
+        if (scroll && typeof element.scrollIntoView === 'function') {
+            element.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    /**
+     * Arrow keys move through the suggestions, Enter picks one, Escape closes
+     * @internal
+     */
+    handleComboboxKeydown(event) {
+        const open = !this.listboxElement.hidden;
+        const count = this.options.length;
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!open || event.altKey) {
+                    if (this.value.length >= this.minChars)
+                        this.requestSuggestions(this.value);
+                    return;
+                }
+                if (!count)
+                    return;
+                this.setActiveOption(event.key === 'ArrowDown'
+                    ? (this.activeIndex + 1) % count
+                    : (this.activeIndex <= 0 ? count : this.activeIndex) - 1);
+                return;
+            case 'Enter':
+                if (open && this.activeIndex !== -1) {
+                    // Picking an option must not also submit the form
+                    event.preventDefault();
+                    this.selectOption(this.activeIndex);
+                }
+                return;
+            case 'Escape':
+                if (open) {
+                    event.preventDefault();
+                    this.closeListbox(false);
+                }
+                return;
+        }
+    }
+    /** @internal */
+    selectOption(index) {
+        const option = this.options[index];
+        if (!option)
+            return;
+        this._selectedOption = option;
+        this.setAttribute('value', option.label);
+        // The value attribute may not have changed; the submitted value has
+        this.updateInputState();
+        this.closeListbox(false);
+        this.dispatchEvent(new CustomEvent('option-select', {
+            bubbles: true, composed: true, detail: { option, value: option.value }
+        }));
+        this.dispatchEvent(new CustomEvent('change', {
+            bubbles: true, composed: true, detail: { value: option.label }
+        }));
+    }
+    /** @internal */
+    isNumberMode() {
+        return this.getAttribute('type') === 'number';
+    }
+    /**
+     * Exposes the number as a WAI-ARIA spinbutton; combobox mode keeps its role
+     * @internal
+     */
+    updateSpinbuttonState() {
+        const input = this.inputElement;
+        if (!this.isNumberMode() || this.isCombobox()) {
+            for (const attribute of ['aria-valuenow', 'aria-valuemin', 'aria-valuemax', 'aria-valuetext']) {
+                input.removeAttribute(attribute);
+            }
+            if (!this.isCombobox())
+                input.removeAttribute('role');
+            return;
+        }
+        const number = this.valueAsNumber;
+        const limits = this.numberLimits();
+        input.setAttribute('role', 'spinbutton');
+        for (const [attribute, limit] of [['aria-valuenow', number], ['aria-valuemin', limits.min], ['aria-valuemax', limits.max]]) {
+            if (Number.isFinite(limit)) {
+                input.setAttribute(attribute, String(limit));
+            }
+            else {
+                input.removeAttribute(attribute);
+            }
+        }
+        if (Number.isNaN(number)) {
+            input.removeAttribute('aria-valuetext');
+        }
+        else {
+            input.setAttribute('aria-valuetext', this.formatNumber(number, false));
+        }
+    }
+    /**
+     * The text number mode shows: what the user is typing while it still
+     * means the current value, else the value formatted for editing while
+     * focused and for display otherwise
+     * @internal
+     */
+    numberText() {
+        const input = this.inputElement;
+        if (this.getAttribute('value'))
+            this.badNumber = false;
+        if (this.badNumber)
+            return input.value;
+        const number = this.valueAsNumber;
+        const focused = this.shadowRoot?.activeElement === input;
+        if (focused && this.parseNumber(input.value) === number)
+            return input.value;
+        return this.formatNumber(number, focused);
+    }
+    /**
+     * Stores the number typed as the plain value attribute, or an empty
+     * one while the text does not parse
+     * @internal
+     */
+    reflectNumberInput(text) {
+        const number = this.parseNumber(text);
+        const value = Number.isNaN(number) ? '' : String(number);
+        this.badNumber = text.trim() !== '' && Number.isNaN(number);
+        if (this.getAttribute('value') === value) {
+            // Validity still follows the text, e.g. from "1x" back to "1"
+            this.updateInputState();
+        }
+        else {
+            this.setAttribute('value', value);
+        }
+    }
+    /**
+     * Clamps the number to min and max, rounds it to the precision and
+     * shows it formatted; unparseable text is left for validation to report
+     * @internal
+     */
+    commitNumber() {
+        const number = this.valueAsNumber;
+        if (!Number.isNaN(number)) {
+            const { min, max } = this.numberLimits();
+            const value = String(this.roundNumber(Math.min(max, Math.max(min, number))));
+            if (this.getAttribute('value') !== value)
+                this.setAttribute('value', value);
+        }
+        this.updateInputState();
+    }
+    /**
+     * Moves the number by `count` steps within min and max; user
+     * interactions also fire `input` and `change`
+     * @internal
+     */
+    stepBy(count, notify = false) {
+        if (!this.isNumberMode() || !count)
+            return;
+        const { min, max } = this.numberLimits();
+        const step = this.numberStep();
+        const base = Number.isFinite(min) ? min : 0;
+        const current = this.valueAsNumber;
+        // Like the native stepUp(), an off-step value first snaps to the step grid
+        const position = (Number.isNaN(current) ? 0 : current - base) / step;
+        const steps = count > 0 ? Math.floor(position + 1e-9) + count : Math.ceil(position - 1e-9) + count;
+        const next = Math.min(max, Math.max(min, this.roundNumber(base + steps * step)));
+        if (next === current)
+            return;
+        this.badNumber = false;
+        this.setAttribute('value', String(next));
+        if (!notify)
+            return;
+        if (this.validateOn === 'input')
+            this.validationShown = true;
+        this.dispatchEvent(new CustomEvent('input', {
+            bubbles: true, composed: true,
+            detail: { value: this.value, unmaskedValue: this.value, inputType: 'insertReplacementText' }
+        }));
+        this.dispatchEvent(new CustomEvent('change', {
+            bubbles: true, composed: true, detail: { value: this.value }
+        }));
+    }
+    /**
+     * Arrow keys step the number once, Page Up and Page Down ten times
+     * @internal
+     */
+    handleNumberKeydown(event) {
+        const steps = { ArrowUp: 1, ArrowDown: -1, PageUp: 10, PageDown: -10 }[event.key];
+        if (!steps || event.altKey || event.ctrlKey || event.metaKey)
+            return;
+        if (this.inputElement.disabled || this.inputElement.readOnly)
+            return;
+        event.preventDefault();
+        this.stepBy(steps, true);
+    }
+    /** @internal */
+    numberAttribute(name) {
+        const value = this.getAttribute(name)?.trim();
+        return value ? Number(value) : NaN;
+    }
+    /** @internal */
+    numberLimits() {
+        const min = this.numberAttribute('min');
+        const max = this.numberAttribute('max');
+        return { min: Number.isNaN(min) ? -Infinity : min, max: Number.isNaN(max) ? Infinity : max };
+    }
+    /**
+     * The `step` attribute, or one unit (1%) when it is missing or `any`
+     * @internal
+     */
+    numberStep() {
+        const step = this.numberAttribute('step');
+        if (step > 0)
+            return step;
+        return this.numberStyle() === 'percent' ? 0.01 : 1;
+    }
+    /** @internal */
+    numberStyle() {
+        const style = this.getAttribute('number-style');
+        if (style === 'currency')
+            return this.getAttribute('currency') ? 'currency' : 'decimal';
+        return style === 'percent' ? 'percent' : 'decimal';
+    }
+    /**
+     * Rounds to the fraction digits shown: `precision`, else the
+     * currency's minor unit, else ten digits to drop float noise
+     * @internal
+     */
+    roundNumber(number) {
+        const precision = parseInt(this.getAttribute('precision') ?? '', 10);
+        let digits = 10;
+        if (precision >= 0) {
+            digits = Math.min(precision, 20);
+        }
+        else if (this.numberStyle() === 'currency') {
+            digits = this.numberFormats().display.resolvedOptions().maximumFractionDigits;
+        }
+        // Percent digits count after the value is multiplied by 100
+        if (this.numberStyle() === 'percent')
+            digits = Math.min(digits + 2, 20);
+        return Number(number.toFixed(digits));
+    }
+    /**
+     * Intl.NumberFormat instances for display and editing, plus the
+     * locale's separators, digits and currency symbol for parsing
+     * @internal
+     */
+    numberFormats() {
+        const locale = this.getAttribute('locale') || this.closest('[lang]')?.getAttribute('lang') || undefined;
+        const style = this.numberStyle();
+        const currency = this.getAttribute('currency') || '';
+        const precision = parseInt(this.getAttribute('precision') ?? '', 10);
+        const key = [locale, style, currency, precision].join('|');
+        if (this.numberFormatCache?.key === key)
+            return this.numberFormatCache;
+        const options = { style };
+        if (style === 'currency') {
+            options.currency = currency;
+        }
+        else {
+            options.maximumFractionDigits = 10;
+        }
+        if (precision >= 0) {
+            options.minimumFractionDigits = Math.min(precision, 20);
+            options.maximumFractionDigits = Math.min(precision, 20);
+        }
+        let display;
+        try {
+            display = new Intl.NumberFormat(locale, options);
+        }
+        catch (_error) {
+            // An unknown locale or currency code falls back to plain decimals
+            display = new Intl.NumberFormat(undefined, { maximumFractionDigits: 10 });
+        }
+        const resolved = display.resolvedOptions().locale;
+        const parts = new Intl.NumberFormat(resolved).formatToParts(-12345.6);
+        this.numberFormatCache = {
+            key,
+            display,
+            editing: new Intl.NumberFormat(resolved, { useGrouping: false, maximumFractionDigits: 10 }),
+            group: parts.find((part) => part.type === 'group')?.value ?? '',
+            decimal: parts.find((part) => part.type === 'decimal')?.value ?? '.',
+            digits: [...new Intl.NumberFormat(resolved, { useGrouping: false }).format(9876543210)].reverse(),
+            symbol: display.formatToParts(1).find((part) => part.type === 'currency')?.value ?? ''
+        };
+        return this.numberFormatCache;
+    }
+    /**
+     * Localized text for a number; the editing form has no grouping,
+     * symbol or rounding and shows percentages as their number
+     * @internal
+     */
+    formatNumber(number, editing) {
+        if (Number.isNaN(number))
+            return '';
+        const formats = this.numberFormats();
+        if (!editing)
+            return formats.display.format(number);
+        return formats.editing.format(this.numberStyle() === 'percent' ? Number((number * 100).toFixed(10)) : number);
+    }
+    /**
+     * Parses localized text, with or without grouping, currency symbol or
+     * percent sign; NaN when it is not a number
+     * @internal
+     */
+    parseNumber(text) {
+        const { group, decimal, digits, symbol } = this.numberFormats();
+        let normalized = symbol ? text.split(symbol).join('') : text;
+        normalized = normalized.replace(/[\s%]/g, '').replace(/[\u2212\u2012\u2013]/g, '-');
+        if (group.trim())
+            normalized = normalized.split(group).join('');
+        normalized = [...normalized].map((char) => {
+            const digit = digits.indexOf(char);
+            return digit === -1 ? char : String(digit);
+        }).join('');
+        if (decimal !== '.')
+            normalized = normalized.replace(decimal, '.');
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized))
+            return NaN;
+        const number = Number(normalized);
+        return this.numberStyle() === 'percent' ? number / 100 : number;
+    }
+    /**
+     * Formats the value being typed and puts the caret back after the
+     * same raw character it followed before formatting
+     * @internal
+     */
+    applyFormatter(input, inputType) {
+        const formatter = this.formatter;
+        const display = input.value;
+        const caret = input.selectionStart ?? display.length;
+        let raw = formatter.unformat(display);
+        let rawBefore = formatter.unformat(display.slice(0, caret)).length;
+        // Deleting only a literal leaves the raw value as it was; delete the
+        // raw character next to it instead so the caret is not stuck
+        const previous = formatter.unformat(this.getAttribute('value') || '');
+        if (raw === previous && inputType === 'deleteContentBackward' && rawBefore > 0) {
+            raw = raw.slice(0, rawBefore - 1) + raw.slice(rawBefore);
+            rawBefore--;
+        }
+        else if (raw === previous && inputType === 'deleteContentForward') {
+            raw = raw.slice(0, rawBefore) + raw.slice(rawBefore + 1);
+        }
+        const formatted = formatter.format(raw);
+        let position = formatted.length;
+        for (let i = 0; i <= formatted.length; i++) {
+            if (formatter.unformat(formatted.slice(0, i)).length >= rawBefore) {
+                position = i;
+                break;
+            }
+        }
+        input.value = formatted;
+        // Types like email have no selection API
+        if (input.selectionStart !== null && this.shadowRoot?.activeElement === input) {
+            input.setSelectionRange(position, position);
+        }
+    }
+    /**
+     * Runs native constraints and sync validators now, and schedules the
+     * async validators, then reports the result to the form
+     * @internal
+     */
+    updateValidity() {
+        if (!this.inputElement)
+            return;
+        this.cancelAsyncValidation();
+        const value = this.inputElement.value;
+        let result = this.constraintResult(value);
+        const pending = [];
+        const controller = new AbortController();
+        // Empty optional fields are valid; `required` covers emptiness
+        if (!result && value !== '') {
+            for (const validator of this._validators) {
+                if (this.asyncValidators.has(validator)) {
+                    pending.push(validator);
+                    continue;
+                }
+                let outcome;
+                try {
+                    outcome = validator(value, { element: this, signal: controller.signal });
+                }
+                catch (error) {
+                    result = { flags: { customError: true }, message: error?.message || 'Validation failed' };
+                    break;
+                }
+                if (outcome && typeof outcome.then === 'function') {
+                    this.asyncValidators.add(validator);
+                    // Handled now so a pass cancelled before it is awaited cannot leave an unhandled rejection
+                    const promise = Promise.resolve(outcome);
+                    promise.catch(() => { });
+                    pending.push(() => promise);
+                    continue;
+                }
+                const message = this.ruleMessage(outcome);
+                if (message) {
+                    result = { flags: { customError: true }, message };
+                    break;
+                }
+            }
+        }
+        if (result || !pending.length) {
+            controller.abort();
+            this.applyValidity(result || { flags: {}, message: '' }, false);
+            return;
+        }
+        // Submitting while a rule is still being checked would skip it
+        this.applyValidity({ flags: { customError: true }, message: this.getAttribute('pending-message') || 'Checking…' }, true);
+        this.validationController = controller;
+        this.pendingValidation = new Promise((resolve) => { this.settleValidation = resolve; });
+        const delay = parseInt(this.getAttribute('validate-debounce') ?? '300', 10);
+        this.validationTimer = setTimeout(() => this.runAsyncValidators(pending, value, controller.signal), Number.isNaN(delay) ? 300 : delay);
+    }
+    /**
+     * Runs async validators in order until one fails
+     * @internal
+     */
+    async runAsyncValidators(validators, value, signal) {
+        let result = { flags: {}, message: '' };
+        try {
+            for (const validator of validators) {
+                const message = this.ruleMessage(await validator(value, { element: this, signal }));
+                if (signal.aborted)
+                    return;
+                if (message) {
+                    result = { flags: { customError: true }, message };
+                    break;
+                }
+            }
+        }
+        catch (error) {
+            if (signal.aborted)
+                return;
+            result = { flags: { customError: true }, message: error?.message || 'Validation failed' };
+        }
+        this.validationController = null;
+        this.applyValidity(result, false);
+        this.settleValidation?.();
+    }
+    /** @internal */
+    cancelAsyncValidation() {
+        clearTimeout(this.validationTimer);
+        this.validationController?.abort();
+        this.validationController = null;
+        this.settleValidation?.();
+    }
+    /**
+     * Validity flags and message from the `error` attribute, a custom
+     * validity message and the native constraint attributes, or null
+     * @internal
+     */
+    constraintResult(value) {
+        const error = this.getAttribute('error');
+        if (error !== null) {
+            return { flags: { customError: true }, message: error || 'Invalid input' };
+        }
+        if (this.customMessage) {
+            return { flags: { customError: true }, message: this.customMessage };
+        }
+        if (this.isCombobox() && this.hasAttribute('must-select') && value !== '' && this._selectedOption?.label !== value) {
+            return { flags: { customError: true }, message: 'Please choose an option from the list.' };
+        }
+        const validity = this.inputElement.validity;
+        const flags = {};
+        for (const flag of ['valueMissing', 'typeMismatch', 'patternMismatch', 'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput']) {
+            if (validity[flag])
+                flags[flag] = true;
+        }
+        if (this.isNumberMode() && value !== '') {
+            const number = this.valueAsNumber;
+            const { min, max } = this.numberLimits();
+            // Only an explicit step constrains the value; the default just sets the increment
+            const step = this.numberAttribute('step');
+            const base = Number.isFinite(min) ? min : 0;
+            if (Number.isNaN(number))
+                flags.badInput = true;
+            else if (number < min)
+                flags.rangeUnderflow = true;
+            else if (number > max)
+                flags.rangeOverflow = true;
+            else if (step > 0 && Math.abs((number - base) / step - Math.round((number - base) / step)) > 1e-9)
+                flags.stepMismatch = true;
+        }
+        // The native input only checks lengths after user edits
+        const minLength = parseInt(this.getAttribute('minlength') ?? '', 10);
+        const maxLength = parseInt(this.getAttribute('maxlength') ?? '', 10);
+        if (value !== '' && value.length < minLength)
+            flags.tooShort = true;
+        if (value.length > maxLength)
+            flags.tooLong = true;
+        const flag = Object.keys(flags)[0];
+        if (!flag)
+            return null;
+        // Prefer the browser's localized message where it agrees on the flag
+        const message = (validity[flag] && this.inputElement.validationMessage) || this.defaultMessage(flag);
+        return { flags, message };
+    }
+    /** @internal */
+    defaultMessage(flag) {
+        const limit = (name) => this.isNumberMode() ? this.formatNumber(this.numberAttribute(name), false) : this.getAttribute(name);
+        switch (flag) {
+            case 'valueMissing': return 'Please fill out this field.';
+            case 'typeMismatch': return `Please enter a valid ${this.getAttribute('type') === 'email' ? 'email address' : 'value'}.`;
+            case 'patternMismatch': return 'Please match the requested format.';
+            case 'tooShort': return `Please use at least ${this.getAttribute('minlength')} characters.`;
+            case 'tooLong': return `Please use no more than ${this.getAttribute('maxlength')} characters.`;
+            case 'rangeUnderflow': return `Value must be ${limit('min')} or more.`;
+            case 'rangeOverflow': return `Value must be ${limit('max')} or less.`;
+            case 'stepMismatch': return 'Please enter a valid value.';
+            default: return 'Please enter a number.';
+        }
+    }
+    /**
+     * A validator passes by returning nothing, true or an empty string;
+     * it fails with a message string, or false for a generic message
+     * @internal
+     */
+    ruleMessage(outcome) {
+        if (outcome === false)
+            return 'Invalid input';
+        return typeof outcome === 'string' ? outcome : '';
+    }
+    /** @internal */
+    applyValidity(result, pending) {
+        this.validationResult = result;
+        this.validationPending = pending;
         if (this.internals) {
-            if (hasError) {
-                this.internals.setValidity({ customError: true }, 'Invalid input', this.inputElement);
+            if (result.message) {
+                this.internals.setValidity(result.flags, result.message, this.inputElement ?? undefined);
             }
-            else if (this.inputElement.validity.valid) {
+            else {
                 this.internals.setValidity({});
             }
         }
+        this.renderValidation();
+    }
+    /**
+     * Shows the current result once validate-on allows it
+     * @internal
+     */
+    renderValidation() {
+        if (!this.inputElement || !this.shadowRoot)
+            return;
+        const message = this.shadowRoot.querySelector('.validation-message');
+        const manual = this.hasAttribute('error');
+        const visible = manual || this.validationShown;
+        const invalid = visible && !this.validationPending && Boolean(this.validationResult.message);
+        if (this.validationPending && visible) {
+            this.setAttribute('validation-state', 'pending');
+        }
+        else if (invalid && !manual) {
+            this.setAttribute('validation-state', 'invalid');
+        }
+        else {
+            this.removeAttribute('validation-state');
+        }
+        // A bare `error` attribute keeps showing the slotted helper text
+        const showMessage = visible && (manual ? this.getAttribute('error') !== '' : true);
+        if (message) {
+            message.textContent = showMessage ? this.validationResult.message : '';
+        }
+        this.inputElement.setAttribute('aria-invalid', String(invalid));
     }
+    /** @internal */
     attachEventListeners() {
-        if (!this.inputElement)
+        if (!this.inputElement || this.listening)
             return;
+        this.listening = true;
+        this.addEventListener('invalid', this.handleInvalid);
         this.inputElement.addEventListener('input', this.handleInput);
         this.inputElement.addEventListener('change', this.handleChange);
         this.inputElement.addEventListener('focus', this.handleFocus);
         this.inputElement.addEventListener('blur', this.handleBlur);
+        this.inputElement.addEventListener('keydown', this.handleKeydown);
+        this.inputElement.addEventListener('keydown', this.handleCapsLock);
+        this.inputElement.addEventListener('keyup', this.handleCapsLock);
+        this.inputElement.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.clearButton?.addEventListener('click', this.handleClear);
+        this.revealButton?.addEventListener('click', this.handleRevealToggle);
+        this.listboxElement?.addEventListener('pointerdown', this.handleOptionPointerDown);
+        this.listboxElement?.addEventListener('click', this.handleOptionClick);
+        this.listboxElement?.addEventListener('pointermove', this.handleOptionHover);
+        this.stepperElement?.addEventListener('mousedown', this.handleStepperMouseDown);
+        this.stepperElement?.addEventListener('click', this.handleStepperClick);
     }
+    /** @internal */
     removeEventListeners() {
-        if (!this.inputElement)
+        if (!this.inputElement || !this.listening)
             return;
+        this.listening = false;
+        this.removeEventListener('invalid', this.handleInvalid);
         this.inputElement.removeEventListener('input', this.handleInput);
         this.inputElement.removeEventListener('change', this.handleChange);
         this.inputElement.removeEventListener('focus', this.handleFocus);
         this.inputElement.removeEventListener('blur', this.handleBlur);
+        this.inputElement.removeEventListener('keydown', this.handleKeydown);
+        this.inputElement.removeEventListener('keydown', this.handleCapsLock);
+        this.inputElement.removeEventListener('keyup', this.handleCapsLock);
+        this.inputElement.removeEventListener('wheel', this.handleWheel);
+        this.clearButton?.removeEventListener('click', this.handleClear);
+        this.revealButton?.removeEventListener('click', this.handleRevealToggle);
+        this.listboxElement?.removeEventListener('pointerdown', this.handleOptionPointerDown);
+        this.listboxElement?.removeEventListener('click', this.handleOptionClick);
+        this.listboxElement?.removeEventListener('pointermove', this.handleOptionHover);
+        this.stepperElement?.removeEventListener('mousedown', this.handleStepperMouseDown);
+        this.stepperElement?.removeEventListener('click', this.handleStepperClick);
+    }
+    /**
+     * Implicit submission: the native input lives in shadow DOM and has no
+     * form owner, so pressing Enter is forwarded to the host's form here.
+     * The form's default button is clicked, which may be a form-associated
+     * `imara-btn`; without one the form is submitted directly.
+     * @internal
+     */
+    submitOwnerForm() {
+        const form = this.internals?.form;
+        if (!form)
+            return;
+        const defaultButton = Array.from(form.elements).find((element) => {
+            if (element.localName === 'button' || element.localName === 'input') {
+                return element.type === 'submit' || element.type === 'image';
+            }
+            return element.localName.includes('-') && element.type === 'submit';
+        });
+        if (defaultButton) {
+            if (!defaultButton.matches(':disabled')) {
+                defaultButton.click();
+            }
+            return;
+        }
+        form.requestSubmit();
+    }
+    /** In number mode, the plain number (e.g. `1234.5`) whatever the locale shows */
+    get value() {
+        if (this.isNumberMode()) {
+            const number = this.valueAsNumber;
+            return Number.isNaN(number) ? '' : String(number);
+        }
+        return this.inputElement?.value || '';
+    }
+    set value(val) {
+        // Also drops unparseable text left in number mode when the attribute is already empty
+        const stale = this.badNumber;
+        this.badNumber = false;
+        this.setAttribute('value', val);
+        if (stale)
+            this.updateInputState();
+    }
+    /** Number mode: the value as a number, NaN when empty or unparseable */
+    get valueAsNumber() {
+        if (!this.isNumberMode() || this.badNumber)
+            return NaN;
+        return this.numberAttribute('value');
+    }
+    set valueAsNumber(number) { this.value = Number.isFinite(number) ? String(number) : ''; }
+    /** Value restored when the owner form is reset; defaults to the initial value attribute */
+    get defaultValue() { return this._defaultValue ?? this.getAttribute('value') ?? ''; }
+    set defaultValue(val) { this._defaultValue = String(val); }
+    get form() { return this.internals?.form ?? null; }
+    get labels() { return this.internals?.labels ?? []; }
+    get validity() { return this.internals?.validity ?? this.inputElement?.validity; }
+    get validationMessage() { return this.internals?.validationMessage ?? this.validationResult.message; }
+    get willValidate() { return this.internals?.willValidate ?? false; }
+    /** The value without mask literals or formatting; this is what the form submits */
+    get unmaskedValue() {
+        const formatter = this.formatter;
+        return formatter ? formatter.unformat(this.value) : this.value;
+    }
+    /**
+     * Formats the value as the user types, replacing `mask`. An object
+     * with `format(raw)` returning the display string and `unformat(display)`
+     * returning the raw string; `unformat` must also accept any prefix of
+     * a formatted value so the caret can be placed.
+     */
+    get formatter() {
+        // Number mode formats through Intl.NumberFormat instead
+        if (this.isNumberMode())
+            return null;
+        if (this._formatter)
+            return this._formatter;
+        const mask = this.getAttribute('mask');
+        if (!mask)
+            return null;
+        if (this.maskFormatter?.mask !== mask) {
+            this.maskFormatter = createMaskFormatter(mask);
+        }
+        return this.maskFormatter;
+    }
+    set formatter(formatter) {
+        this._formatter = formatter && typeof formatter.format === 'function' && typeof formatter.unformat === 'function' ? formatter : null;
+        this.updateInputState();
     }
-    get value() { return this.inputElement?.value || ''; }
-    set value(val) { this.setAttribute('value', val); }
     focus() { this.inputElement?.focus(); }
     blur() { this.inputElement?.blur(); }
     select() { this.inputElement?.select(); }
-    checkValidity() { return this.inputElement?.checkValidity() ?? false; }
-    reportValidity() { return this.inputElement?.reportValidity() ?? false; }
+    /** Number mode: adds `count` steps, clamped to min and max, without firing events */
+    stepUp(count = 1) { this.stepBy(count); }
+    /** Number mode: subtracts `count` steps, clamped to min and max, without firing events */
+    stepDown(count = 1) { this.stepBy(-count); }
+    checkValidity() { return this.internals?.checkValidity() ?? !this.validationResult.message; }
+    reportValidity() {
+        this.validationShown = true;
+        this.renderValidation();
+        return this.internals?.reportValidity() ?? !this.validationResult.message;
+    }
     setCustomValidity(message) {
-        this.inputElement?.setCustomValidity(message);
-        if (this.internals) {
-            if (message) {
-                this.internals.setValidity({ customError: true }, message, this.inputElement ?? undefined);
-            }
-            else {
-                this.internals.setValidity({});
-            }
+        this.customMessage = message;
+        this.updateValidity();
+    }
+    /**
+     * Rule functions run after the native constraints pass, in order,
+     * with `(value, { element, signal })`. Return a message string (or
+     * false) to fail, anything else to pass. A rule that throws fails with
+     * the error's message. Once a rule returns a promise it is treated as
+     * async: later calls wait for `validate-debounce`, and `signal` aborts
+     * when the value changes again; the field is invalid with
+     * `pending-message` meanwhile.
+     */
+    get validators() { return this._validators; }
+    set validators(rules) {
+        this._validators = Array.isArray(rules) ? rules.filter((rule) => typeof rule === 'function') : [];
+        this.updateValidity();
+    }
+    /**
+     * Suggestions for combobox mode, as strings or `{ label, value }`
+     * objects, filtered by what the user types. Setting it (or `source`)
+     * turns the input into a combobox.
+     */
+    get suggestions() { return this._suggestions; }
+    set suggestions(items) {
+        this._suggestions = Array.isArray(items) ? items : null;
+        if (this.inputElement)
+            this.updateComboboxState();
+    }
+    /**
+     * Async suggestion provider for combobox mode, called as
+     * `source(query, signal)` and resolving to the same items as
+     * `suggestions`. Results are shown unfiltered; `signal` aborts when
+     * the user keeps typing.
+     */
+    get source() { return this._source; }
+    set source(fn) {
+        this._source = typeof fn === 'function' ? fn : null;
+        if (this.inputElement)
+            this.updateComboboxState();
+    }
+    /** The suggestion last chosen, or null */
+    get selectedOption() { return this._selectedOption; }
+    /** Characters typed before suggestions appear */
+    get minChars() {
+        const value = parseInt(this.getAttribute('min-chars') ?? '1', 10);
+        return Number.isNaN(value) ? 1 : Math.max(0, value);
+    }
+    /** When messages appear: after each input, the first blur, or a submit attempt */
+    get validateOn() {
+        const timing = this.getAttribute('validate-on');
+        return timing === 'input' || timing === 'submit' ? timing : 'blur';
+    }
+    /**
+     * Validates now and shows the result. Resolves to the validity once
+     * any async validators have finished.
+     */
+    async validate() {
+        this.validationShown = true;
+        this.updateValidity();
+        // A value change while waiting starts a new pass; wait for that one
+        while (this.validationPending) {
+            await this.pendingValidation;
         }
+        return !this.validationResult.message;
     }
 }
 ImaraInput.formAssociated = true;
-// Register the custom element
-if (!customElements.get('imara-input')) {
-    customElements.define('imara-input', ImaraInput);
+// Constructable stylesheet shared by every instance, built on first render
+let sharedStyleSheet = null;
+/**
+ * Styles a shadow root with the shared stylesheet, or with a `<style>`
+ * element where constructable stylesheets are unsupported or belong to
+ * another document
+ */
+function adoptStyles(root, css) {
+    if ('adoptedStyleSheets' in root && typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype) {
+        try {
+            if (!sharedStyleSheet) {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(css);
+                sharedStyleSheet = sheet;
+            }
+            root.adoptedStyleSheets = [sharedStyleSheet];
+            return;
+        }
+        catch (_error) {
+            // Falls through to a <style> element
+        }
+    }
+    const style = document.createElement('style');
+    style.textContent = css;
+    root.appendChild(style);
+}
+const MASK_TOKENS = { '9': /\d/, 'a': /[A-Za-z]/, '*': /[A-Za-z0-9]/ };
+/**
+ * Creates the formatter behind the `mask` attribute
+ *
+ * `9` takes a digit, `a` a letter and `*` either; every other character
+ * is a literal inserted as the user reaches it. Raw input keeps the
+ * characters any token accepts, after any literal prefix such as `+1 `.
+ *
+ * @param mask - Mask pattern, e.g. `(999) 999-9999`
+ * @returns A `{ mask, numeric, format, unformat }` formatter
+ */
+export function createMaskFormatter(mask) {
+    const pattern = [...mask];
+    const prefixLength = pattern.findIndex((char) => MASK_TOKENS[char]);
+    const prefix = pattern.slice(0, prefixLength === -1 ? pattern.length : prefixLength).join('');
+    const accepts = (char) => pattern.some((token) => MASK_TOKENS[token]?.test(char));
+    return {
+        mask,
+        numeric: pattern.every((char) => !MASK_TOKENS[char] || char === '9'),
+        format(raw) {
+            const chars = [...raw];
+            let output = '';
+            let complete = 0;
+            let index = 0;
+            for (const char of pattern) {
+                const token = MASK_TOKENS[char];
+                if (!token) {
+                    output += char;
+                    continue;
+                }
+                while (index < chars.length && !token.test(chars[index]))
+                    index++;
+                if (index >= chars.length)
+                    break;
+                output += chars[index++];
+                complete = output.length;
+            }
+            // Literals are only shown up to the last filled position
+            return output.slice(0, complete);
+        },
+        unformat(value) {
+            let start = 0;
+            while (start < prefix.length && value[start] === prefix[start])
+                start++;
+            return [...value.slice(start)].filter(accepts).join('');
+        }
+    };
+}
+/**
+ * Default tag name for ImaraInput
+ */
+export const TAG_NAME = 'imara-input';
+/**
+ * Registers ImaraInput as a custom element
+ *
+ * Safe to call more than once: nothing happens if the tag is already
+ * defined in the registry. The platform allows one name per constructor
+ * and registry, so a second tag name in the same registry is backed by a
+ * subclass.
+ *
+ * @param tagName - Tag to register (default `imara-input`)
+ * @param registry - Registry to define it in, e.g. a scoped
+ * `CustomElementRegistry` (default the global `customElements`)
+ * @returns The tag name the element is available under
+ */
+export function define(tagName = TAG_NAME, registry = customElements) {
+    if (registry.get(tagName)) {
+        return tagName;
+    }
+    try {
+        registry.define(tagName, ImaraInput);
+    }
+    catch (_error) {
+        // The class already has a name here; an invalid tag name throws again below
+        registry.define(tagName, class extends ImaraInput {
+        });
+    }
+    return tagName;
 }
 //# sourceMappingURL=imara-input.js.map
\ No newline at end of file
@@ -1,12 +1,17 @@
 /**
- * App Input Component
+ * Imara Input Component
  *
  * A production-ready, accessible input web component built with
  * vanilla TypeScript and Web Components standards.
  *
- * @module app-input
+ * @module imara-input
  */
-export { ImaraInput } from './imara-input.js';
-// Auto-register the component when imported
-import './imara-input.js';
+export { ImaraInput, TAG_NAME, define, createMaskFormatter } from './imara-input.js';
+import { define } from './imara-input.js';
+// Auto-register the component when imported. Set
+// `globalThis.imaraAutoDefine = false` before loading to register it
+// yourself with define(), e.g. under another prefix or in a scoped registry.
+if (globalThis.imaraAutoDefine !== false) {
+    define();
+}
 //# sourceMappingURL=index.js.map
\ No newline at end of file
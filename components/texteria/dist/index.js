@@ -1,12 +1,17 @@
 /**
- * App Input Component
+ * Imara Texteria Component
  *
- * A production-ready, accessible input web component built with
+ * A production-ready, accessible textarea web component built with
  * vanilla TypeScript and Web Components standards.
  *
- * @module app-input
+ * @module text-eria
  */
-export { ImaraTexteria } from './texteria.js';
-// Auto-register the component when imported
-import './texteria.js';
+export { ImaraTexteria, TAG_NAME, define, renderMarkdown, createMemoryStorage, createIndexedDBStorage } from './texteria.js';
+import { define } from './texteria.js';
+// Auto-register the component when imported. Set
+// `globalThis.imaraAutoDefine = false` before loading to register it
+// yourself with define(), e.g. under another prefix or in a scoped registry.
+if (globalThis.imaraAutoDefine !== false) {
+    define();
+}
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -16,6 +16,74 @@
 /**
  * Texteria Web Component Class
  * Extends HTMLElement to create a custom textarea component
+ *
+ * @element text-eria
+ *
+ * @attr {string} value - Textarea value
+ * @attr {string} placeholder - Placeholder text
+ * @attr {boolean} disabled - Disables the textarea
+ * @attr {number} rows - Visible text lines
+ * @attr {number} cols - Visible width in characters
+ * @attr {number} maxlength - Maximum length, counted in `count-mode` units
+ * @attr {number} minlength - Minimum length, counted in `count-mode` units
+ * @attr {string} count-mode - How length is counted: graphemes (default), code-units, bytes (UTF-8) or words
+ * @attr {boolean} soft-limit - Lets the value exceed `maxlength` and highlights the overflow; the value stays invalid
+ * @attr {string} warning-threshold - When the counter turns to its warning color: a percentage of `maxlength` such as "80%", or a number of units left (default "90%")
+ * @attr {boolean} required - Marks the textarea as required
+ * @attr {boolean} auto-resize - Grows the textarea to fit its content
+ * @attr {number} min-rows - Fewest lines an auto-resizing textarea shows (default `rows`)
+ * @attr {number} max-rows - Most lines an auto-resizing textarea grows to before it scrolls
+ * @attr {string} pattern - Regular expression the value must match
+ * @attr {string} label - Label text
+ * @attr {string} name - Form field name the value is submitted under
+ * @attr {string} validation-message - Message shown instead of the built-in validation messages
+ * @attr {boolean} show-counter - Shows the character counter
+ * @attr {boolean} markdown - Markdown mode: formatting toolbar, shortcuts, list continuation and a preview tab
+ * @attr {string} mention-triggers - Characters that open mention suggestions, e.g. "@#:" (default "@")
+ * @attr {number} mention-debounce - Milliseconds to wait before calling an async `mentionProvider` (default 200)
+ * @attr {string} autosave-key - Saves drafts under this key and restores them when the element connects
+ * @attr {number} autosave-delay - Milliseconds after the last keystroke before the draft is saved (default 1000)
+ * @attr {number} autosave-ttl - Seconds a saved draft stays restorable; 0 keeps it forever (default 604800, one week)
+ *
+ * @fires texteria-input - Dispatched on every value change
+ * @fires texteria-change - Dispatched when the textarea loses focus after a change
+ * @fires texteria-focus - Dispatched when the textarea receives focus
+ * @fires texteria-blur - Dispatched when the textarea loses focus
+ * @fires texteria-preview-error - Dispatched when the markdown renderer throws or rejects, with `detail.error`; the preview shows the escaped source instead
+ * @fires texteria-mention - Dispatched when a mention suggestion is inserted
+ * @fires texteria-mention-error - Dispatched when the mention provider throws or rejects, with `detail.error`, `detail.trigger` and `detail.query`
+ * @fires texteria-draft-restored - Dispatched when a saved draft replaced the value
+ * @fires texteria-draft-error - Dispatched when reading, saving or removing the draft fails, with `detail.error`, `detail.operation` and `detail.key`
+ * @fires texteria-history - Dispatched when an edit is added to the undo history, and on undo, redo and clearHistory()
+ *
+ * @cssprop --texteria-font-family - Font family
+ * @cssprop --texteria-font-size - Font size
+ * @cssprop --texteria-line-height - Line height
+ * @cssprop --texteria-bg - Background color
+ * @cssprop --texteria-bg-disabled - Background color when disabled
+ * @cssprop --texteria-border - Border color
+ * @cssprop --texteria-border-hover - Border color on hover
+ * @cssprop --texteria-border-focus - Border color when focused
+ * @cssprop --texteria-text - Text color
+ * @cssprop --texteria-text-disabled - Text color when disabled
+ * @cssprop --texteria-placeholder - Placeholder color
+ * @cssprop --texteria-label-color - Label color
+ * @cssprop --texteria-counter-color - Counter color
+ * @cssprop --texteria-counter-warning - Counter color near the limit
+ * @cssprop --texteria-counter-error - Counter color at the limit
+ * @cssprop --texteria-overflow-bg - Highlight behind text past `maxlength`
+ * @cssprop --texteria-validation-error - Border and message color for invalid values
+ * @cssprop --texteria-validation-bg - Validation message background
+ * @cssprop --texteria-border-radius - Corner radius
+ * @cssprop --texteria-padding - Inner padding
+ * @cssprop --texteria-transition - Transition for state changes
+ * @cssprop --texteria-shadow-focus - Box shadow when focused
+ * @cssprop --texteria-shadow-hover - Box shadow on hover
+ * @cssprop --texteria-toolbar-color - Color of the markdown toolbar buttons and tabs
+ * @cssprop --texteria-toolbar-hover-bg - Background of toolbar buttons and tabs on hover
+ * @cssprop --texteria-code-bg - Background of code in the markdown preview
+ * @cssprop --texteria-mention-active-bg - Background of the highlighted mention suggestion
+ * @cssprop --texteria-mention-shadow - Box shadow of the mention suggestion popup
  */
 export class ImaraTexteria extends HTMLElement {
     /**
@@ -32,27 +100,112 @@ export class ImaraTexteria extends HTMLElement {
             'minlength',
             'required',
             'auto-resize',
+            'min-rows',
+            'max-rows',
             'pattern',
             'label',
             'name',
             'validation-message',
-            'show-counter'
+            'show-counter',
+            'markdown',
+            'mention-triggers',
+            'mention-debounce',
+            'autosave-key',
+            'autosave-delay',
+            'autosave-ttl',
+            'count-mode',
+            'soft-limit',
+            'warning-threshold'
         ];
     }
     constructor() {
         super();
         this.label = null;
+        this.internals = null;
         // Component state
         this._value = '';
         this.isUserTyping = false;
-        // Create shadow DOM for encapsulation
-        this.shadow = this.attachShadow({ mode: 'open' });
+        // Value the owner form resets to; taken from the value attribute on first connect
+        this._defaultValue = null;
+        // Set by formDisabledCallback when an ancestor fieldset is disabled
+        this.formDisabled = false;
+        this.customMessage = '';
+        // Result of the last validation pass
+        this.validityFlags = {};
+        // Markdown mode elements, created when the attribute is first set
+        this.markdownBar = null;
+        this.previewElement = null;
+        this.previewing = false;
+        this._markdownRenderer = renderMarkdown;
+        // Discards renders that finish after a newer one started
+        this.previewToken = 0;
+        // Mention suggestions, created when a provider is first set
+        this.mentionList = null;
+        this.mentionStatus = null;
+        this._mentionProvider = null;
+        // Set once the provider returns a promise; later queries are debounced
+        this.mentionProviderAsync = false;
+        this.mentionOptions = [];
+        this.mentionIndex = -1;
+        // Trigger position and query the open suggestions are for
+        this.mentionContext = null;
+        this.mentionController = null;
+        this.mentionTimer = undefined;
+        // Trigger position closed with Escape or by inserting a mention
+        this.mentionDismissed = -1;
+        // Inserted token text → the mention it stands for
+        this.mentionTokens = new Map();
+        // Draft autosave
+        this._draftStorage = null;
+        this.draftTimer = undefined;
+        // Key the stored draft was last looked up for
+        this.draftKey = null;
+        this.draftNotice = null;
+        // Value a restored draft replaced, for discardDraft()
+        this.draftPreviousValue = null;
+        this.draftForm = null;
+        this.handleFormSubmit = (event) => {
+            // Checked once every submit listener has run, so a submission
+            // a handler cancels (e.g. to send it with fetch) keeps the draft
+            setTimeout(() => {
+                if (!event.defaultPrevented)
+                    this.clearDraft();
+            });
+        };
+        this.handlePageHide = () => {
+            // Only typing not saved yet; a submitted draft stays deleted
+            if (this.draftTimer !== undefined)
+                this.saveDraft();
+        };
+        // Overflow highlight behind the textarea, created when first needed
+        this.backdrop = null;
+        this.overflowFrame = 0;
+        // Auto-resize: one measurement per frame, redone when the width or fonts change
+        this.resizeFrame = 0;
+        this.resizeObserver = null;
+        this.observedWidth = -1;
+        this.handleFontsLoaded = () => this.autoResize();
+        // Undo history: the state after each edit, with the caret where the next edit started
+        this.history = [{ value: '', selectionStart: 0, selectionEnd: 0 }];
+        this.historyIndex = 0;
+        // Input type and time of the latest entry, for coalescing typing bursts
+        this.historyGroup = null;
+        // Selection just before the edit that is about to be recorded
+        this.pendingSelection = null;
+        // Create shadow DOM for encapsulation; delegatesFocus lets
+        // <label for> elements and host.focus() reach the textarea
+        this.shadow = this.attachShadow({ mode: 'open', delegatesFocus: true });
+        // Form association submits the value and reports validity to the form
+        if ('attachInternals' in this) {
+            this.internals = this.attachInternals();
+        }
         // Create component structure
         this.container = document.createElement('div');
         this.container.className = 'texteria-container';
         // Create textarea element
         this.textarea = document.createElement('textarea');
         this.textarea.className = 'texteria-input';
+        this.textarea.id = 'textarea';
         this.textarea.setAttribute('aria-label', 'Text input area');
         // Create character counter
         this.charCounter = document.createElement('span');
@@ -60,10 +213,10 @@ export class ImaraTexteria extends HTMLElement {
         this.charCounter.setAttribute('aria-live', 'polite');
         this.charCounter.setAttribute('aria-atomic', 'true');
         // Create validation message container
-        this.validationMessage = document.createElement('div');
-        this.validationMessage.className = 'texteria-validation';
-        this.validationMessage.setAttribute('role', 'alert');
-        this.validationMessage.setAttribute('aria-live', 'assertive');
+        this.validationElement = document.createElement('div');
+        this.validationElement.className = 'texteria-validation';
+        this.validationElement.setAttribute('role', 'alert');
+        this.validationElement.setAttribute('aria-live', 'assertive');
         // Load styles
         this.loadStyles();
         // Assemble component
@@ -75,14 +228,31 @@ export class ImaraTexteria extends HTMLElement {
      * Lifecycle: Called when element is added to DOM
      */
     connectedCallback() {
+        if (this._defaultValue === null) {
+            this._defaultValue = this.getAttribute('value') ?? '';
+            // Undo starts from the initial value
+            this.history = [this.historySnapshot()];
+            this.historyIndex = 0;
+        }
         this.updateCharCounter();
         this.updateValidation();
         // Initialize auto-resize if enabled
-        if (this.hasAttribute('auto-resize')) {
-            this.autoResize();
-        }
+        this.updateAutoResize();
         // Set initial ARIA attributes
         this.updateAriaAttributes();
+        this.updateDraftListeners();
+        this.restoreDraft();
+    }
+    /**
+     * Lifecycle: Called when element is removed from DOM
+     */
+    disconnectedCallback() {
+        // Keep what was typed since the last save
+        if (this.draftTimer !== undefined) {
+            this.saveDraft();
+        }
+        this.updateDraftListeners();
+        this.updateAutoResize();
     }
     /**
      * Lifecycle: Called when observed attribute changes
@@ -95,33 +265,37 @@ export class ImaraTexteria extends HTMLElement {
                 if (!this.isUserTyping) {
                     this._value = newValue || '';
                     this.textarea.value = this._value;
+                    this.recordHistory('setValue');
                     this.updateCharCounter();
                     this.updateValidation();
                     if (this.hasAttribute('auto-resize')) {
                         this.autoResize();
                     }
+                    this.updatePreview();
                 }
                 break;
             case 'placeholder':
                 this.textarea.placeholder = newValue || '';
                 break;
             case 'disabled':
-                this.textarea.disabled = newValue !== null;
-                this.container.classList.toggle('disabled', newValue !== null);
+                this.updateDisabled();
+                this.updateMarkdownMode();
                 break;
             case 'rows':
                 this.textarea.rows = parseInt(newValue || '3', 10);
+                this.autoResize();
                 break;
             case 'cols':
                 this.textarea.cols = parseInt(newValue || '50', 10);
                 break;
             case 'maxlength':
-                if (newValue) {
-                    this.textarea.maxLength = parseInt(newValue, 10);
-                }
-                else {
-                    this.textarea.removeAttribute('maxlength');
-                }
+            case 'count-mode':
+            case 'soft-limit':
+                this.updateNativeMaxLength();
+                this.updateCharCounter();
+                this.updateValidation();
+                break;
+            case 'warning-threshold':
                 this.updateCharCounter();
                 break;
             case 'minlength':
@@ -131,17 +305,21 @@ export class ImaraTexteria extends HTMLElement {
                 else {
                     this.textarea.removeAttribute('minlength');
                 }
+                this.updateValidation();
                 break;
             case 'required':
                 this.textarea.required = newValue !== null;
                 this.updateValidation();
                 break;
             case 'auto-resize':
-                if (newValue !== null) {
-                    this.autoResize();
-                }
+                this.updateAutoResize();
+                break;
+            case 'min-rows':
+            case 'max-rows':
+                this.autoResize();
                 break;
             case 'pattern':
+            case 'validation-message':
                 this.updateValidation();
                 break;
             case 'label':
@@ -155,11 +333,45 @@ export class ImaraTexteria extends HTMLElement {
             case 'show-counter':
                 this.charCounter.style.display = newValue !== null ? 'block' : 'none';
                 break;
+            case 'markdown':
+                this.updateMarkdownMode();
+                break;
+            case 'mention-triggers':
+                this.closeMentions();
+                break;
+            case 'autosave-key':
+                clearTimeout(this.draftTimer);
+                this.draftTimer = undefined;
+                this.updateDraftListeners();
+                this.restoreDraft();
+                break;
         }
         this.updateAriaAttributes();
     }
+    /**
+     * Lifecycle: Called when the owner form is reset
+     */
+    formResetCallback() {
+        this.setValue(this.defaultValue);
+        this.clearDraft();
+    }
+    /**
+     * Lifecycle: Called when the browser restores the value, e.g. on back navigation
+     */
+    formStateRestoreCallback(state) {
+        this.setValue(typeof state === 'string' ? state : '');
+    }
+    /**
+     * Lifecycle: Called when an ancestor fieldset is disabled or enabled
+     */
+    formDisabledCallback(disabled) {
+        this.formDisabled = disabled;
+        this.updateDisabled();
+        this.updateMarkdownMode();
+    }
     /**
      * Load CSS styles into shadow DOM
+     * @internal
      */
     loadStyles() {
         const style = document.createElement('style');
@@ -183,6 +395,7 @@ export class ImaraTexteria extends HTMLElement {
         --texteria-counter-color: #6b7280;
         --texteria-counter-warning: #f59e0b;
         --texteria-counter-error: #ef4444;
+        --texteria-overflow-bg: #fecaca;
         
         --texteria-validation-error: #ef4444;
         --texteria-validation-bg: #fef2f2;
@@ -193,6 +406,12 @@ export class ImaraTexteria extends HTMLElement {
         
         --texteria-shadow-focus: 0 0 0 3px rgba(59, 130, 246, 0.1);
         --texteria-shadow-hover: 0 1px 3px 0 rgba(0, 0, 0, 0.05);
+
+        --texteria-toolbar-color: #4b5563;
+        --texteria-toolbar-hover-bg: #f3f4f6;
+        --texteria-code-bg: #f3f4f6;
+        --texteria-mention-active-bg: #eff6ff;
+        --texteria-mention-shadow: 0 4px 16px rgba(0, 0, 0, 0.12);
       }
 
       * {
@@ -269,6 +488,33 @@ export class ImaraTexteria extends HTMLElement {
         overflow: hidden;
       }
 
+      .texteria-container.auto-resize .texteria-input.scrolling {
+        overflow-y: auto;
+      }
+
+      .texteria-backdrop {
+        position: absolute;
+        overflow: hidden;
+        color: transparent;
+        white-space: pre-wrap;
+        overflow-wrap: break-word;
+        background: var(--texteria-bg);
+        border-color: transparent;
+        border-radius: var(--texteria-border-radius);
+        pointer-events: none;
+      }
+
+      .texteria-backdrop mark {
+        color: transparent;
+        background: var(--texteria-overflow-bg);
+        border-radius: 2px;
+      }
+
+      .texteria-container.overflowing .texteria-input {
+        position: relative;
+        background: transparent;
+      }
+
       .texteria-footer {
         display: flex;
         justify-content: space-between;
@@ -310,6 +556,206 @@ export class ImaraTexteria extends HTMLElement {
         display: block;
       }
 
+      .texteria-markdown-bar {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 6px;
+      }
+
+      .texteria-markdown-bar[hidden],
+      .texteria-toolbar[hidden],
+      .texteria-input[hidden],
+      .texteria-preview[hidden] {
+        display: none;
+      }
+
+      .texteria-tabs,
+      .texteria-toolbar {
+        display: flex;
+        gap: 2px;
+      }
+
+      .texteria-tab,
+      .texteria-tool {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        min-width: 32px;
+        height: 32px;
+        padding: 0 10px;
+        font: inherit;
+        font-size: 13px;
+        color: var(--texteria-toolbar-color);
+        background: transparent;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        transition: var(--texteria-transition);
+      }
+
+      .texteria-tool {
+        padding: 0 6px;
+      }
+
+      .texteria-tab:hover,
+      .texteria-tool:hover:not(:disabled) {
+        background: var(--texteria-toolbar-hover-bg);
+      }
+
+      .texteria-tab[aria-selected="true"] {
+        color: var(--texteria-text);
+        font-weight: 600;
+        background: var(--texteria-toolbar-hover-bg);
+      }
+
+      .texteria-tab:focus-visible,
+      .texteria-tool:focus-visible {
+        outline: none;
+        box-shadow: var(--texteria-shadow-focus);
+      }
+
+      .texteria-tool:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      .texteria-tool svg {
+        width: 16px;
+        height: 16px;
+      }
+
+      .texteria-preview {
+        font-size: var(--texteria-font-size);
+        line-height: var(--texteria-line-height);
+        color: var(--texteria-text);
+        background: var(--texteria-bg);
+        border: 2px solid var(--texteria-border);
+        border-radius: var(--texteria-border-radius);
+        padding: var(--texteria-padding);
+        overflow-wrap: anywhere;
+      }
+
+      .texteria-preview:focus-visible {
+        outline: none;
+        border-color: var(--texteria-border-focus);
+        box-shadow: var(--texteria-shadow-focus);
+      }
+
+      .texteria-preview > :first-child {
+        margin-top: 0;
+      }
+
+      .texteria-preview > :last-child {
+        margin-bottom: 0;
+      }
+
+      .texteria-preview:empty::before {
+        content: attr(data-empty);
+        color: var(--texteria-placeholder);
+      }
+
+      .texteria-preview code {
+        font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+        font-size: 0.9em;
+        padding: 0.1em 0.3em;
+        background: var(--texteria-code-bg);
+        border-radius: 4px;
+      }
+
+      .texteria-preview pre {
+        padding: 10px 12px;
+        overflow-x: auto;
+        background: var(--texteria-code-bg);
+        border-radius: 6px;
+      }
+
+      .texteria-preview pre code {
+        padding: 0;
+        background: none;
+      }
+
+      .texteria-preview blockquote {
+        margin: 0 0 1em;
+        padding-left: 12px;
+        color: var(--texteria-counter-color);
+        border-left: 3px solid var(--texteria-border);
+      }
+
+      .texteria-preview img {
+        max-width: 100%;
+      }
+
+      .texteria-mentions {
+        position: absolute;
+        z-index: 10;
+        min-width: 180px;
+        max-width: 280px;
+        max-height: 220px;
+        margin: 4px 0 0;
+        padding: 4px;
+        overflow-y: auto;
+        list-style: none;
+        background: var(--texteria-bg);
+        border: 1px solid var(--texteria-border);
+        border-radius: 8px;
+        box-shadow: var(--texteria-mention-shadow);
+      }
+
+      .texteria-mentions[hidden] {
+        display: none;
+      }
+
+      .texteria-mention {
+        padding: 6px 10px;
+        font-size: 14px;
+        color: var(--texteria-text);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+
+      .texteria-mention[aria-selected="true"] {
+        background: var(--texteria-mention-active-bg);
+      }
+
+      .texteria-mention-status {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
+
+      .texteria-draft-notice {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 6px;
+        font-size: 13px;
+        color: var(--texteria-counter-color);
+      }
+
+      .texteria-draft-notice[hidden] {
+        display: none;
+      }
+
+      .texteria-draft-discard {
+        padding: 0;
+        font: inherit;
+        font-weight: 500;
+        color: var(--texteria-border-focus);
+        background: none;
+        border: 0;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
       @keyframes slideIn {
         from {
           opacity: 0;
@@ -335,6 +781,11 @@ export class ImaraTexteria extends HTMLElement {
           --texteria-label-color: #e5e7eb;
           --texteria-counter-color: #9ca3af;
           --texteria-validation-bg: #7f1d1d;
+          --texteria-overflow-bg: #7f1d1d;
+          --texteria-toolbar-color: #d1d5db;
+          --texteria-toolbar-hover-bg: #374151;
+          --texteria-code-bg: #111827;
+          --texteria-mention-active-bg: #1e3a8a;
         }
       }
 
@@ -357,6 +808,7 @@ export class ImaraTexteria extends HTMLElement {
     }
     /**
      * Assemble the component DOM structure
+     * @internal
      */
     assembleComponent() {
         const footer = document.createElement('div');
@@ -364,23 +816,42 @@ export class ImaraTexteria extends HTMLElement {
         footer.appendChild(this.charCounter);
         this.container.appendChild(this.textarea);
         this.container.appendChild(footer);
-        this.container.appendChild(this.validationMessage);
+        this.container.appendChild(this.validationElement);
         this.shadow.appendChild(this.container);
     }
     /**
      * Bind event handlers to textarea
+     * @internal
      */
     bindEvents() {
+        // Length limits the native maxlength cannot count
+        this.textarea.addEventListener('beforeinput', (e) => {
+            // Undo and redo from the browser menus use the managed history too
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                if (e.inputType === 'historyUndo')
+                    this.undo();
+                else
+                    this.redo();
+                return;
+            }
+            this.pendingSelection = { start: this.textarea.selectionStart, end: this.textarea.selectionEnd };
+            this.handleLimitBeforeInput(e);
+        });
         // Input event - fires on every change
-        this.textarea.addEventListener('input', (_e) => {
+        this.textarea.addEventListener('input', (e) => {
             this.isUserTyping = true;
             this._value = this.textarea.value;
+            this.recordHistory(e.inputType, e.data);
             this.setAttribute('value', this._value);
             this.updateCharCounter();
             this.updateValidation();
             if (this.hasAttribute('auto-resize')) {
                 this.autoResize();
             }
+            this.updatePreview();
+            this.updateMentionQuery();
+            this.scheduleDraftSave();
             // Dispatch custom input event
             this.dispatchEvent(new CustomEvent('texteria-input', {
                 detail: this.getEventDetail(),
@@ -406,9 +877,48 @@ export class ImaraTexteria extends HTMLElement {
                 composed: true
             }));
         });
+        // Mention suggestions, undo and redo, markdown shortcuts and list continuation
+        this.textarea.addEventListener('keydown', (e) => {
+            if (e.isComposing)
+                return;
+            if (this.mentionList && !this.mentionList.hidden) {
+                this.handleMentionKeydown(e);
+            }
+            if (!e.defaultPrevented) {
+                this.handleHistoryKeydown(e);
+            }
+            if (this.hasAttribute('markdown') && !e.defaultPrevented) {
+                this.handleMarkdownKeydown(e);
+            }
+        });
+        // Moving the caret into or out of a mention opens or closes suggestions
+        this.textarea.addEventListener('keyup', (e) => {
+            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) {
+                this.updateMentionQuery();
+            }
+        });
+        this.textarea.addEventListener('click', () => this.updateMentionQuery());
+        this.textarea.addEventListener('scroll', () => {
+            if (this.mentionList && !this.mentionList.hidden) {
+                this.positionMentions();
+            }
+            if (this.backdrop) {
+                this.backdrop.scrollTop = this.textarea.scrollTop;
+            }
+        });
+        // The user may have resized the textarea by its handle
+        this.textarea.addEventListener('mouseup', () => {
+            if (this.backdrop && !this.backdrop.hidden) {
+                this.updateOverflowHighlight();
+            }
+        });
         // Blur event
         this.textarea.addEventListener('blur', () => {
             this.container.classList.remove('focused');
+            this.closeMentions();
+            if (this.draftTimer !== undefined) {
+                this.saveDraft();
+            }
             this.updateValidation();
             this.dispatchEvent(new CustomEvent('texteria-blur', {
                 detail: this.getEventDetail(),
@@ -419,70 +929,222 @@ export class ImaraTexteria extends HTMLElement {
     }
     /**
      * Get event detail object
+     * @internal
      */
     getEventDetail() {
         return {
             value: this._value,
-            characterCount: this._value.length
+            characterCount: this.getCharacterCount()
         };
     }
+    /** @internal */
+    countMode() {
+        const mode = this.getAttribute('count-mode');
+        return COUNT_MODES.includes(mode) ? mode : 'graphemes';
+    }
+    /**
+     * Reads `maxlength` or `minlength`
+     * @returns The limit, or null when it is not set
+     * @internal
+     */
+    lengthLimit(name) {
+        const limit = parseInt(this.getAttribute(name) ?? '', 10);
+        return limit > 0 ? limit : null;
+    }
+    /**
+     * The native maxlength counts code units and cannot be exceeded, so it
+     * is only used for hard code-unit limits; handleLimitBeforeInput
+     * enforces the other modes
+     * @internal
+     */
+    updateNativeMaxLength() {
+        const max = this.lengthLimit('maxlength');
+        if (max !== null && this.countMode() === 'code-units' && !this.hasAttribute('soft-limit')) {
+            this.textarea.maxLength = max;
+        }
+        else {
+            this.textarea.removeAttribute('maxlength');
+        }
+    }
+    /**
+     * Cuts insertions down to what still fits under a hard `maxlength` in
+     * the graphemes, bytes and words modes
+     * @internal
+     */
+    handleLimitBeforeInput(event) {
+        const max = this.lengthLimit('maxlength');
+        const mode = this.countMode();
+        if (max === null || mode === 'code-units' || this.hasAttribute('soft-limit')
+            || !event.cancelable || !event.inputType.startsWith('insert'))
+            return;
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        const lineBreak = event.inputType === 'insertLineBreak' || event.inputType === 'insertParagraph';
+        const data = lineBreak ? '\n' : event.data ?? event.dataTransfer?.getData('text/plain') ?? '';
+        const before = value.slice(0, start);
+        const after = value.slice(end);
+        if (countText(before + data + after, mode) <= max)
+            return;
+        event.preventDefault();
+        // Keep the longest run of whole characters that fits
+        const boundaries = textSegments(data, 'grapheme').map((segment) => segment.index).concat(data.length);
+        let low = 0;
+        let high = boundaries.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (countText(before + data.slice(0, boundaries[middle]) + after, mode) <= max)
+                low = middle;
+            else
+                high = middle - 1;
+        }
+        const text = data.slice(0, boundaries[low]);
+        if (text || start !== end) {
+            this.applyEdit(start, end, text, start + text.length, start + text.length, event.inputType);
+        }
+    }
     /**
      * Update character counter display
+     * @internal
      */
     updateCharCounter() {
-        const currentLength = this._value.length;
-        const maxLength = this.textarea.maxLength;
-        if (maxLength > 0) {
-            this.charCounter.textContent = `${currentLength} / ${maxLength}`;
+        const count = this.getCharacterCount();
+        const max = this.lengthLimit('maxlength');
+        const unit = COUNTER_UNITS[this.countMode()];
+        this.charCounter.classList.remove('warning', 'error');
+        if (max !== null) {
+            this.charCounter.textContent = `${count} / ${max}${unit}`;
             // Update counter styling based on usage
-            const percentage = (currentLength / maxLength) * 100;
-            this.charCounter.classList.remove('warning', 'error');
-            if (percentage >= 100) {
+            if (count >= max) {
                 this.charCounter.classList.add('error');
             }
-            else if (percentage >= 90) {
+            else if (count >= this.warningThreshold(max)) {
                 this.charCounter.classList.add('warning');
             }
         }
         else {
-            this.charCounter.textContent = `${currentLength}`;
+            this.charCounter.textContent = `${count}${unit}`;
+        }
+        this.updateOverflowHighlight();
+    }
+    /**
+     * Reads `warning-threshold`: "80%" of the limit, or "20" units left
+     * @returns The count from which the counter warns
+     * @internal
+     */
+    warningThreshold(max) {
+        const threshold = (this.getAttribute('warning-threshold') ?? '').trim();
+        const amount = parseFloat(threshold);
+        if (Number.isNaN(amount) || amount < 0)
+            return max * 0.9;
+        return threshold.endsWith('%') ? max * amount / 100 : max - amount;
+    }
+    /**
+     * Highlights the text past `maxlength` on a backdrop laid out like the
+     * textarea behind it; measured in the next frame
+     * @internal
+     */
+    updateOverflowHighlight() {
+        const max = this.lengthLimit('maxlength');
+        const overflowing = max !== null && this.getCharacterCount() > max;
+        this.container.classList.toggle('overflowing', overflowing);
+        if (!overflowing) {
+            if (this.backdrop)
+                this.backdrop.hidden = true;
+            return;
+        }
+        if (!this.backdrop) {
+            this.backdrop = document.createElement('div');
+            this.backdrop.className = 'texteria-backdrop';
+            this.backdrop.setAttribute('aria-hidden', 'true');
+            this.container.insertBefore(this.backdrop, this.textarea);
         }
+        this.backdrop.hidden = false;
+        if (this.overflowFrame)
+            return;
+        this.overflowFrame = requestAnimationFrame(() => {
+            this.overflowFrame = 0;
+            const limit = this.lengthLimit('maxlength');
+            if (limit === null || this.backdrop.hidden)
+                return;
+            const textarea = this.textarea;
+            const style = getComputedStyle(textarea);
+            for (const property of MIRROR_PROPERTIES) {
+                this.backdrop.style[property] = style[property];
+            }
+            // Leave room for the textarea's scrollbar so lines wrap alike
+            const scrollbar = textarea.offsetWidth - textarea.clientWidth - parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+            Object.assign(this.backdrop.style, {
+                top: `${textarea.offsetTop}px`,
+                left: `${textarea.offsetLeft}px`,
+                height: `${textarea.offsetHeight}px`,
+                paddingRight: `${parseFloat(style.paddingRight) + Math.max(0, scrollbar || 0)}px`
+            });
+            const index = limitIndex(this._value, limit, this.countMode());
+            const mark = document.createElement('mark');
+            mark.textContent = this._value.slice(index);
+            // A trailing newline needs a character after it to take up a line
+            this.backdrop.replaceChildren(this._value.slice(0, index), mark, '\n');
+            this.backdrop.scrollTop = textarea.scrollTop;
+        });
     }
     /**
-     * Update validation state and message
+     * Update validation state and message, and report the value and its
+     * validity to the owner form
+     * @internal
      */
     updateValidation() {
         const pattern = this.getAttribute('pattern');
         const validationMsg = this.getAttribute('validation-message');
-        let isValid = true;
+        const mode = this.countMode();
+        const count = this.getCharacterCount();
+        const minLength = this.lengthLimit('minlength');
+        const maxLength = this.lengthLimit('maxlength');
+        let flags = {};
         let message = '';
+        // Custom validity set from script
+        if (this.customMessage) {
+            flags = { customError: true };
+            message = this.customMessage;
+        }
         // Required validation
-        if (this.textarea.required && !this._value.trim()) {
-            isValid = false;
+        else if (this.textarea.required && !this._value.trim()) {
+            flags = { valueMissing: true };
             message = validationMsg || 'This field is required';
         }
         // Min length validation
-        else if (this.textarea.minLength > 0 && this._value.length > 0 && this._value.length < this.textarea.minLength) {
-            isValid = false;
-            message = validationMsg || `Minimum ${this.textarea.minLength} characters required`;
+        else if (minLength !== null && this._value.length > 0 && count < minLength) {
+            flags = { tooShort: true };
+            message = validationMsg || `Minimum ${countLabel(minLength, mode)} required`;
+        }
+        // Max length validation; typing stops at a hard limit but a set value may not
+        else if (maxLength !== null && count > maxLength) {
+            flags = { tooLong: true };
+            message = validationMsg || `Maximum ${countLabel(maxLength, mode)} allowed`;
         }
         // Pattern validation
-        else if (pattern && this._value.length > 0) {
-            const regex = new RegExp(pattern);
-            if (!regex.test(this._value)) {
-                isValid = false;
-                message = validationMsg || 'Please match the required format';
+        else if (pattern && this._value.length > 0 && !this.matchesPattern(pattern)) {
+            flags = { patternMismatch: true };
+            message = validationMsg || 'Please match the required format';
+        }
+        const isValid = !message;
+        this.validityFlags = flags;
+        if (this.internals) {
+            this.internals.setFormValue(this._value);
+            if (isValid) {
+                this.internals.setValidity({});
+            }
+            else {
+                this.internals.setValidity(flags, message, this.textarea);
             }
         }
         // Update UI
         this.textarea.classList.toggle('invalid', !isValid);
-        this.validationMessage.textContent = message;
-        this.validationMessage.classList.toggle('visible', !isValid && message.length > 0);
+        this.validationElement.textContent = message;
+        this.validationElement.classList.toggle('visible', !isValid && message.length > 0);
         // Update ARIA
         if (!isValid && message) {
             this.textarea.setAttribute('aria-invalid', 'true');
             this.textarea.setAttribute('aria-describedby', 'validation-message');
-            this.validationMessage.id = 'validation-message';
+            this.validationElement.id = 'validation-message';
         }
         else {
             this.textarea.removeAttribute('aria-invalid');
@@ -490,25 +1152,133 @@ export class ImaraTexteria extends HTMLElement {
         }
     }
     /**
-     * Auto-resize textarea based on content
+     * Tests the pattern against the value; an invalid pattern is ignored
+     * like the native `pattern` attribute does
+     * @internal
+     */
+    matchesPattern(pattern) {
+        try {
+            return new RegExp(pattern).test(this._value);
+        }
+        catch (_error) {
+            return true;
+        }
+    }
+    /**
+     * Disables the textarea for the `disabled` attribute or a disabled fieldset
+     * @internal
+     */
+    updateDisabled() {
+        const disabled = this.hasAttribute('disabled') || this.formDisabled;
+        this.textarea.disabled = disabled;
+        this.container.classList.toggle('disabled', disabled);
+    }
+    /**
+     * Starts or stops auto-resizing; while connected, a ResizeObserver on
+     * the container and font loads trigger a new measurement
+     * @internal
+     */
+    updateAutoResize() {
+        const enabled = this.hasAttribute('auto-resize');
+        this.container.classList.toggle('auto-resize', enabled);
+        if (enabled && this.isConnected) {
+            if (!this.resizeObserver && typeof ResizeObserver === 'function') {
+                // Height changes come from autoResize itself; only the width changes line wrapping
+                this.resizeObserver = new ResizeObserver((entries) => {
+                    const width = entries[entries.length - 1].contentRect.width;
+                    if (width !== this.observedWidth) {
+                        this.observedWidth = width;
+                        this.autoResize();
+                    }
+                });
+                this.resizeObserver.observe(this.container);
+                document.fonts?.addEventListener('loadingdone', this.handleFontsLoaded);
+            }
+            this.autoResize();
+            return;
+        }
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+        this.observedWidth = -1;
+        document.fonts?.removeEventListener('loadingdone', this.handleFontsLoaded);
+        cancelAnimationFrame(this.resizeFrame);
+        this.resizeFrame = 0;
+        if (!enabled) {
+            this.textarea.style.height = '';
+            this.textarea.classList.remove('scrolling');
+        }
+    }
+    /**
+     * Auto-resize textarea based on content, at most once per frame
+     * @internal
      */
     autoResize() {
-        this.container.classList.add('auto-resize');
-        // Reset height to auto to get the correct scrollHeight
-        this.textarea.style.height = 'auto';
-        // Set height based on scrollHeight
-        const newHeight = Math.max(this.textarea.scrollHeight, 60); // Minimum height
-        this.textarea.style.height = `${newHeight}px`;
+        if (!this.hasAttribute('auto-resize') || !this.isConnected || this.resizeFrame)
+            return;
+        this.resizeFrame = requestAnimationFrame(() => {
+            this.resizeFrame = 0;
+            this.resizeToContent();
+        });
+    }
+    /**
+     * Sets the height to fit the content between `min-rows` and
+     * `max-rows`, scrolling past the maximum
+     * @internal
+     */
+    resizeToContent() {
+        const textarea = this.textarea;
+        if (textarea.hidden || !this.hasAttribute('auto-resize'))
+            return;
+        const style = getComputedStyle(textarea);
+        const fontSize = parseFloat(style.fontSize) || 16;
+        // "normal" line height is about 1.2 for common fonts
+        const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.2;
+        const borders = parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth);
+        const chrome = borders + parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+        const minRows = this.rowsAttribute('min-rows') ?? textarea.rows;
+        const maxRows = this.rowsAttribute('max-rows');
+        const minHeight = minRows * lineHeight + chrome;
+        const maxHeight = maxRows === null ? Infinity : Math.max(minHeight, maxRows * lineHeight + chrome);
+        // Collapsing the textarea to measure it resets its scroll position
+        // and can scroll the page, so both are put back afterwards
+        const page = document.scrollingElement;
+        const pageTop = page?.scrollTop ?? 0;
+        const pageLeft = page?.scrollLeft ?? 0;
+        const scrollTop = textarea.scrollTop;
+        const previousHeight = textarea.style.height;
+        textarea.style.height = '0px';
+        const contentHeight = textarea.scrollHeight + borders;
+        const height = `${Math.min(Math.max(contentHeight, minHeight), maxHeight)}px`;
+        textarea.style.height = height;
+        textarea.classList.toggle('scrolling', contentHeight > maxHeight);
+        textarea.scrollTop = scrollTop;
+        if (page && (page.scrollTop !== pageTop || page.scrollLeft !== pageLeft)) {
+            page.scrollTop = pageTop;
+            page.scrollLeft = pageLeft;
+        }
+        if (height !== previousHeight && this.backdrop && !this.backdrop.hidden) {
+            this.updateOverflowHighlight();
+        }
+    }
+    /**
+     * Reads `min-rows` or `max-rows`
+     * @returns The number of rows, or null when it is not set
+     * @internal
+     */
+    rowsAttribute(name) {
+        const rows = parseInt(this.getAttribute(name) ?? '', 10);
+        return rows > 0 ? rows : null;
     }
     /**
      * Update label element
+     * @internal
      */
     updateLabel(text) {
         if (text) {
             if (!this.label) {
                 this.label = document.createElement('label');
                 this.label.className = 'texteria-label';
-                this.container.insertBefore(this.label, this.textarea);
+                this.container.insertBefore(this.label, this.container.firstChild);
             }
             this.label.textContent = text;
             this.label.classList.toggle('required', this.textarea.required);
@@ -519,39 +1289,777 @@ export class ImaraTexteria extends HTMLElement {
         }
     }
     /**
-     * Update ARIA attributes for accessibility
+     * Creates the markdown toolbar and preview on first use and shows or
+     * hides them with the `markdown` attribute
+     * @internal
      */
-    updateAriaAttributes() {
-        const label = this.getAttribute('label');
-        if (label) {
-            this.textarea.setAttribute('aria-label', label);
+    updateMarkdownMode() {
+        const enabled = this.hasAttribute('markdown');
+        if (!enabled && !this.markdownBar)
+            return;
+        if (!this.markdownBar) {
+            this.createMarkdownElements();
         }
-        if (this.textarea.required) {
-            this.textarea.setAttribute('aria-required', 'true');
+        this.markdownBar.hidden = !enabled;
+        if (!enabled && this.previewing) {
+            this.togglePreview(false);
         }
-        else {
-            this.textarea.removeAttribute('aria-required');
+        for (const tool of this.markdownBar.querySelectorAll('.texteria-tool')) {
+            tool.disabled = this.textarea.disabled;
         }
     }
-    // ========== Public API Methods ==========
     /**
-     * Get the current value of the textarea
-     * @returns Current value as string
+     * Builds the write/preview tabs, the formatting toolbar and the preview panel
+     * @internal
      */
-    getValue() {
-        return this._value;
+    createMarkdownElements() {
+        const modifier = /Mac|iPhone|iPad/.test(navigator.platform) ? 'Meta' : 'Control';
+        const modifierLabel = modifier === 'Meta' ? '⌘' : 'Ctrl+';
+        this.markdownBar = document.createElement('div');
+        this.markdownBar.className = 'texteria-markdown-bar';
+        this.markdownBar.innerHTML = `
+      <div class="texteria-tabs" role="tablist" aria-label="Markdown">
+        <button class="texteria-tab" type="button" role="tab" id="tab-write" aria-controls="textarea" aria-selected="true">Write</button>
+        <button class="texteria-tab" type="button" role="tab" id="tab-preview" aria-controls="preview" aria-selected="false" tabindex="-1">Preview</button>
+      </div>
+      <div class="texteria-toolbar" role="toolbar" aria-label="Formatting" aria-controls="textarea">
+        ${MARKDOWN_COMMANDS.map((tool, index) => {
+            const shortcut = `${tool.shift ? 'Shift+' : ''}${tool.key.toUpperCase()}`;
+            return `<button class="texteria-tool" type="button" data-command="${tool.command}" tabindex="${index === 0 ? 0 : -1}"
+          aria-label="${tool.label}" title="${tool.label} (${modifierLabel}${shortcut})" aria-keyshortcuts="${modifier}+${shortcut}">${tool.icon}</button>`;
+        }).join('')}
+      </div>
+    `;
+        this.previewElement = document.createElement('div');
+        this.previewElement.className = 'texteria-preview';
+        this.previewElement.id = 'preview';
+        this.previewElement.hidden = true;
+        this.previewElement.tabIndex = 0;
+        this.previewElement.dataset.empty = 'Nothing to preview';
+        this.previewElement.setAttribute('role', 'tabpanel');
+        this.previewElement.setAttribute('aria-labelledby', 'tab-preview');
+        this.container.insertBefore(this.markdownBar, this.textarea);
+        this.container.insertBefore(this.previewElement, this.textarea.nextSibling);
+        // Keep the textarea selection while a toolbar button is pressed
+        this.markdownBar.addEventListener('mousedown', (e) => {
+            if (e.target.closest('.texteria-tool')) {
+                e.preventDefault();
+            }
+        });
+        this.markdownBar.addEventListener('click', (e) => {
+            const tool = e.target.closest('.texteria-tool');
+            const tab = e.target.closest('.texteria-tab');
+            if (tool && !tool.disabled) {
+                this.format(tool.dataset.command);
+            }
+            else if (tab) {
+                this.togglePreview(tab.id === 'tab-preview');
+            }
+        });
+        this.markdownBar.addEventListener('keydown', (e) => this.handleMarkdownBarKeydown(e));
     }
     /**
-     * Set the value of the textarea programmatically
-     * @param value - New value to set
+     * Arrow keys, Home and End move between the tabs, which activate on
+     * focus, and between the toolbar buttons, which keep one tab stop
+     * @internal
      */
-    setValue(value) {
-        this._value = value;
-        this.textarea.value = value;
-        this.setAttribute('value', value);
-        this.updateCharCounter();
-        this.updateValidation();
-        if (this.hasAttribute('auto-resize')) {
+    handleMarkdownBarKeydown(event) {
+        const group = event.target.closest('.texteria-tabs, .texteria-toolbar');
+        if (!group || !['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key))
+            return;
+        const items = Array.from(group.querySelectorAll('button'));
+        const index = items.indexOf(event.target);
+        let next = index;
+        if (event.key === 'Home')
+            next = 0;
+        else if (event.key === 'End')
+            next = items.length - 1;
+        else
+            next = (index + (event.key === 'ArrowRight' ? 1 : -1) + items.length) % items.length;
+        event.preventDefault();
+        for (const item of items) {
+            item.tabIndex = item === items[next] ? 0 : -1;
+        }
+        items[next].focus();
+        if (group.classList.contains('texteria-tabs')) {
+            this.togglePreview(items[next].id === 'tab-preview');
+        }
+    }
+    /**
+     * Formatting shortcuts, and Enter continuing lists and quotes
+     * @internal
+     */
+    handleMarkdownKeydown(event) {
+        if (this.textarea.readOnly || this.textarea.disabled)
+            return;
+        if (event.key === 'Enter' && !event.shiftKey && !event.altKey && !event.ctrlKey && !event.metaKey) {
+            if (this.continueList()) {
+                event.preventDefault();
+            }
+            return;
+        }
+        if (!(event.ctrlKey || event.metaKey) || event.altKey)
+            return;
+        const tool = MARKDOWN_COMMANDS.find((item) => Boolean(item.shift) === event.shiftKey
+            && (item.shift ? event.code === item.code : event.key.toLowerCase() === item.key));
+        if (tool) {
+            event.preventDefault();
+            this.format(tool.command);
+        }
+    }
+    /**
+     * Replaces `start`..`end` with `text`, selects `selectStart`..`selectEnd`
+     * and updates the component as if the user had typed the change
+     * @internal
+     */
+    applyEdit(start, end, text, selectStart, selectEnd, inputType = 'insertReplacementText') {
+        this.pendingSelection = { start: this.textarea.selectionStart, end: this.textarea.selectionEnd };
+        this.textarea.setRangeText(text, start, end);
+        this.textarea.setSelectionRange(selectStart, selectEnd);
+        this.textarea.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+    }
+    /**
+     * Wraps the selection in `marker`, or removes the marker when the
+     * selection is already wrapped; surrounding spaces stay outside
+     * @internal
+     */
+    wrapSelection(marker, inputType) {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        const selected = value.slice(start, end);
+        const size = marker.length;
+        if (value.slice(start - size, start) === marker && value.slice(end, end + size) === marker) {
+            this.applyEdit(start - size, end + size, selected, start - size, end - size, inputType);
+            return;
+        }
+        if (selected.length >= size * 2 && selected.startsWith(marker) && selected.endsWith(marker)) {
+            const inner = selected.slice(size, -size);
+            this.applyEdit(start, end, inner, start, start + inner.length, inputType);
+            return;
+        }
+        const from = start + selected.length - selected.trimStart().length;
+        const to = end - (selected.length - selected.trimEnd().length);
+        const inner = value.slice(from, Math.max(from, to));
+        this.applyEdit(from, Math.max(from, to), marker + inner + marker, from + size, from + size + inner.length, inputType);
+    }
+    /**
+     * Toggles a prefix such as `- ` or `> ` on every line the selection touches
+     * @internal
+     */
+    prefixLines(prefix, pattern) {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        // A selection ending right after a newline does not include the next line
+        const lastLine = end > start && value[end - 1] === '\n' ? end - 1 : end;
+        const lineEnd = value.indexOf('\n', lastLine) === -1 ? value.length : value.indexOf('\n', lastLine);
+        const block = value.slice(lineStart, lineEnd);
+        const lines = block.split('\n');
+        const remove = lines.some((line) => pattern.test(line)) && lines.every((line) => !line.trim() || pattern.test(line));
+        const next = lines.map((line) => {
+            if (remove)
+                return line.replace(pattern, '');
+            return line.trim() || lines.length === 1 ? prefix + line : line;
+        }).join('\n');
+        if (start === end) {
+            const caret = Math.max(lineStart, start + next.length - block.length);
+            this.applyEdit(lineStart, lineEnd, next, caret, caret);
+        }
+        else {
+            this.applyEdit(lineStart, lineEnd, next, lineStart, lineStart + next.length);
+        }
+    }
+    /**
+     * Enter inside a list item or quote starts the next one; on an empty
+     * item it ends the list instead
+     * @returns Whether the key was handled
+     * @internal
+     */
+    continueList() {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        if (start !== end)
+            return false;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const match = /^(\s*)((?:[-*+]|(\d+)[.)])[ \t]+(?:\[[ xX]\][ \t]+)?|>[ \t]?)/.exec(value.slice(lineStart, start));
+        if (!match)
+            return false;
+        const lineEnd = value.indexOf('\n', start) === -1 ? value.length : value.indexOf('\n', start);
+        if (!value.slice(lineStart + match[0].length, lineEnd).trim()) {
+            this.applyEdit(lineStart, lineEnd, '', lineStart, lineStart, 'deleteContentBackward');
+            return true;
+        }
+        let marker = match[2].replace(/\[[xX]\]/, '[ ]');
+        if (match[3]) {
+            marker = marker.replace(match[3], String(Number(match[3]) + 1));
+        }
+        const text = `\n${match[1]}${marker}`;
+        this.applyEdit(start, end, text, start + text.length, start + text.length, 'insertLineBreak');
+        return true;
+    }
+    /**
+     * Renders the value into the preview panel while it is shown
+     * @internal
+     */
+    async updatePreview() {
+        if (!this.previewing || !this.previewElement)
+            return;
+        const token = ++this.previewToken;
+        const value = this._value;
+        let html = '';
+        let failure = null;
+        try {
+            html = await this._markdownRenderer(value);
+        }
+        catch (error) {
+            failure = { error };
+            html = `<pre>${escapeHtml(value)}</pre>`;
+        }
+        if (token !== this.previewToken)
+            return;
+        this.previewElement.replaceChildren(sanitizeHtml(String(html ?? '')));
+        if (failure) {
+            this.dispatchEvent(new CustomEvent('texteria-preview-error', {
+                detail: failure,
+                bubbles: true,
+                composed: true
+            }));
+        }
+    }
+    /**
+     * Applies the WAI-ARIA combobox roles while a mention provider is set
+     * @internal
+     */
+    updateMentionState() {
+        const textarea = this.textarea;
+        if (this._mentionProvider) {
+            if (!this.mentionList) {
+                this.createMentionElements();
+            }
+            textarea.setAttribute('role', 'combobox');
+            textarea.setAttribute('aria-multiline', 'true');
+            textarea.setAttribute('aria-autocomplete', 'list');
+            textarea.setAttribute('aria-controls', 'mentions');
+            textarea.setAttribute('aria-expanded', String(!this.mentionList.hidden));
+            return;
+        }
+        this.closeMentions();
+        for (const attribute of ['role', 'aria-multiline', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-activedescendant']) {
+            textarea.removeAttribute(attribute);
+        }
+    }
+    /**
+     * Builds the suggestion listbox and its live status
+     * @internal
+     */
+    createMentionElements() {
+        this.mentionList = document.createElement('ul');
+        this.mentionList.className = 'texteria-mentions';
+        this.mentionList.id = 'mentions';
+        this.mentionList.hidden = true;
+        this.mentionList.setAttribute('role', 'listbox');
+        this.mentionList.setAttribute('aria-label', 'Suggestions');
+        this.mentionStatus = document.createElement('span');
+        this.mentionStatus.className = 'texteria-mention-status';
+        this.mentionStatus.setAttribute('role', 'status');
+        this.container.append(this.mentionList, this.mentionStatus);
+        // Keep focus and the caret in the textarea while a suggestion is clicked
+        this.mentionList.addEventListener('mousedown', (e) => e.preventDefault());
+        this.mentionList.addEventListener('click', (e) => {
+            const option = e.target.closest('.texteria-mention');
+            if (option) {
+                this.selectMention(Number(option.dataset.index));
+            }
+        });
+        this.mentionList.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('.texteria-mention');
+            if (option && Number(option.dataset.index) !== this.mentionIndex) {
+                this.setActiveMention(Number(option.dataset.index), false);
+            }
+        });
+    }
+    /**
+     * Finds the trigger and query the caret is in: a trigger character at
+     * the start of a word, followed by the text up to the caret
+     * @internal
+     */
+    findMentionQuery() {
+        const { value, selectionStart: caret, selectionEnd } = this.textarea;
+        const triggers = Array.from((this.getAttribute('mention-triggers') ?? '@').replace(/\s/g, ''));
+        if (caret !== selectionEnd || this.textarea.readOnly || this.textarea.disabled)
+            return null;
+        for (let index = caret - 1; index >= 0 && caret - index <= 64; index--) {
+            const char = value[index];
+            if (/\s/.test(char))
+                return null;
+            // "name@host" is not a mention
+            if (triggers.includes(char) && (index === 0 || /[\s([{"'>]/.test(value[index - 1]))) {
+                return { trigger: char, start: index, query: value.slice(index + 1, caret) };
+            }
+        }
+        return null;
+    }
+    /**
+     * Opens, updates or closes the suggestions for the caret position
+     * @internal
+     */
+    updateMentionQuery() {
+        if (!this._mentionProvider)
+            return;
+        const context = this.shadow.activeElement === this.textarea ? this.findMentionQuery() : null;
+        if (!context) {
+            this.mentionDismissed = -1;
+            this.closeMentions();
+            return;
+        }
+        if (context.start === this.mentionDismissed) {
+            this.closeMentions();
+            return;
+        }
+        const current = this.mentionContext;
+        if (current && current.start === context.start && current.query === context.query)
+            return;
+        this.mentionContext = context;
+        this.requestMentions(context);
+    }
+    /**
+     * Asks `mentionProvider` for suggestions. Once it has returned a
+     * promise it is called after `mention-debounce`; the previous request
+     * is aborted.
+     * @internal
+     */
+    requestMentions(context) {
+        this.cancelMentions();
+        const provider = this._mentionProvider;
+        const controller = new AbortController();
+        this.mentionController = controller;
+        const call = () => provider(context.query, { trigger: context.trigger, signal: controller.signal });
+        // Calls `request` and awaits its outcome in one step, so a throw or a
+        // rejection is always handled
+        const run = async (request) => {
+            this.mentionList.setAttribute('aria-busy', 'true');
+            let results = [];
+            try {
+                results = await request();
+            }
+            catch (error) {
+                if (!controller.signal.aborted) {
+                    this.dispatchEvent(new CustomEvent('texteria-mention-error', {
+                        detail: { error, trigger: context.trigger, query: context.query },
+                        bubbles: true,
+                        composed: true
+                    }));
+                }
+            }
+            if (controller.signal.aborted)
+                return;
+            this.mentionController = null;
+            this.mentionList.removeAttribute('aria-busy');
+            this.showMentions(Array.isArray(results) ? results : []);
+        };
+        if (this.mentionProviderAsync) {
+            const delay = parseInt(this.getAttribute('mention-debounce') ?? '200', 10);
+            this.mentionTimer = setTimeout(() => run(call), Number.isNaN(delay) ? 200 : delay);
+            return;
+        }
+        // Only a returned promise makes the provider async; one that throws stays synchronous
+        run(() => {
+            const outcome = call();
+            if (outcome && typeof outcome.then === 'function') {
+                this.mentionProviderAsync = true;
+            }
+            return outcome;
+        });
+    }
+    /** @internal */
+    cancelMentions() {
+        clearTimeout(this.mentionTimer);
+        this.mentionController?.abort();
+        this.mentionController = null;
+        this.mentionList?.removeAttribute('aria-busy');
+    }
+    /**
+     * Renders the suggestions under the trigger and highlights the first
+     * @internal
+     */
+    showMentions(items) {
+        const list = this.mentionList;
+        this.mentionOptions = items.map(normalizeMention);
+        this.mentionIndex = -1;
+        list.replaceChildren(...this.mentionOptions.map((option, index) => {
+            const element = document.createElement('li');
+            element.className = 'texteria-mention';
+            element.id = `mention-${index}`;
+            element.dataset.index = String(index);
+            element.textContent = option.label;
+            element.setAttribute('role', 'option');
+            element.setAttribute('aria-selected', 'false');
+            return element;
+        }));
+        const count = this.mentionOptions.length;
+        list.hidden = !count;
+        this.textarea.setAttribute('aria-expanded', String(count > 0));
+        this.textarea.removeAttribute('aria-activedescendant');
+        if (count) {
+            this.positionMentions();
+            this.setActiveMention(0);
+        }
+        this.mentionStatus.textContent = count ? `${count} suggestion${count === 1 ? '' : 's'} available` : 'No suggestions';
+    }
+    /**
+     * Anchors the listbox below the trigger character, inside the component
+     * @internal
+     */
+    positionMentions() {
+        if (!this.mentionContext)
+            return;
+        const caret = this.caretCoordinates(this.mentionContext.start);
+        const maxLeft = this.container.clientWidth - this.mentionList.offsetWidth;
+        this.mentionList.style.left = `${Math.max(0, Math.min(caret.left, maxLeft))}px`;
+        this.mentionList.style.top = `${caret.top + caret.height}px`;
+    }
+    /**
+     * Measures where `position` is drawn by laying the text out in a
+     * hidden copy of the textarea
+     * @returns Top, left and line height in pixels, relative to the container
+     * @internal
+     */
+    caretCoordinates(position) {
+        const textarea = this.textarea;
+        const style = getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+        for (const property of MIRROR_PROPERTIES) {
+            mirror.style[property] = style[property];
+        }
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            top: '0',
+            left: '0',
+            visibility: 'hidden',
+            overflow: 'hidden',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            height: 'auto'
+        });
+        const marker = document.createElement('span');
+        marker.textContent = textarea.value.slice(position) || '.';
+        mirror.append(textarea.value.slice(0, position), marker);
+        this.container.appendChild(mirror);
+        const lineHeight = parseFloat(style.lineHeight);
+        const coordinates = {
+            top: textarea.offsetTop + marker.offsetTop - textarea.scrollTop,
+            left: textarea.offsetLeft + marker.offsetLeft - textarea.scrollLeft,
+            height: Number.isNaN(lineHeight) ? marker.offsetHeight : lineHeight
+        };
+        mirror.remove();
+        return coordinates;
+    }
+    /** @internal */
+    closeMentions() {
+        this.cancelMentions();
+        this.mentionContext = null;
+        this.mentionIndex = -1;
+        if (!this.mentionList)
+            return;
+        this.mentionList.hidden = true;
+        this.textarea.removeAttribute('aria-activedescendant');
+        if (this._mentionProvider) {
+            this.textarea.setAttribute('aria-expanded', 'false');
+        }
+    }
+    /** @internal */
+    setActiveMention(index, scroll = true) {
+        this.mentionList.querySelector('[aria-selected="true"]')?.setAttribute('aria-selected', 'false');
+        this.mentionIndex = index;
+        const element = this.mentionList.children[index];
+        if (!element) {
+            this.textarea.removeAttribute('aria-activedescendant');
+            return;
+        }
+        element.setAttribute('aria-selected', 'true');
+        this.textarea.setAttribute('aria-activedescendant', element.id);
+        if (scroll && typeof element.scrollIntoView === 'function') {
+            element.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    /**
+     * Arrow keys move through the open suggestions, Enter or Tab inserts
+     * one, Escape closes them until the caret leaves the mention
+     * @internal
+     */
+    handleMentionKeydown(event) {
+        const count = this.mentionOptions.length;
+        if (event.altKey || event.ctrlKey || event.metaKey)
+            return;
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                this.setActiveMention(event.key === 'ArrowDown'
+                    ? (this.mentionIndex + 1) % count
+                    : (this.mentionIndex <= 0 ? count : this.mentionIndex) - 1);
+                break;
+            case 'Enter':
+            case 'Tab':
+                if (this.mentionIndex !== -1 && !event.shiftKey) {
+                    event.preventDefault();
+                    this.selectMention(this.mentionIndex);
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.mentionDismissed = this.mentionContext?.start ?? -1;
+                this.closeMentions();
+                break;
+        }
+    }
+    /**
+     * Replaces the trigger and query with the suggestion's token, followed
+     * by a space unless one is already there
+     * @internal
+     */
+    selectMention(index) {
+        const option = this.mentionOptions[index];
+        const context = this.mentionContext;
+        if (!option || !context)
+            return;
+        const { value, selectionStart: caret } = this.textarea;
+        const text = option.insert ?? `${context.trigger}${option.value}`;
+        const space = caret < value.length && /\s/.test(value[caret]) ? '' : ' ';
+        const end = context.start + text.length + space.length;
+        const mention = { trigger: context.trigger, value: option.value, label: option.label, item: option.item };
+        this.mentionTokens.set(text, mention);
+        // Keep the suggestions closed while the caret is still on the token
+        this.mentionDismissed = context.start;
+        this.closeMentions();
+        this.applyEdit(context.start, caret, text + space, end, end, 'insertReplacementText');
+        this.dispatchEvent(new CustomEvent('texteria-mention', {
+            detail: { ...mention, text, start: context.start, end: context.start + text.length },
+            bubbles: true,
+            composed: true
+        }));
+    }
+    /**
+     * Clears the draft when the owner form submits, and saves pending
+     * changes when the page is hidden or unloaded
+     * @internal
+     */
+    updateDraftListeners() {
+        const autosave = this.isConnected && this.hasAttribute('autosave-key');
+        const form = autosave ? (this.internals?.form ?? this.closest('form')) : null;
+        if (form !== this.draftForm) {
+            this.draftForm?.removeEventListener('submit', this.handleFormSubmit);
+            form?.addEventListener('submit', this.handleFormSubmit);
+            this.draftForm = form;
+        }
+        if (autosave) {
+            window.addEventListener('pagehide', this.handlePageHide);
+        }
+        else {
+            window.removeEventListener('pagehide', this.handlePageHide);
+        }
+    }
+    /** @internal */
+    scheduleDraftSave() {
+        if (!this.hasAttribute('autosave-key'))
+            return;
+        // Typing accepts a restored draft
+        this.draftPreviousValue = null;
+        this.showDraftNotice(false);
+        clearTimeout(this.draftTimer);
+        const delay = parseInt(this.getAttribute('autosave-delay') ?? '1000', 10);
+        this.draftTimer = setTimeout(() => this.saveDraft(), Number.isNaN(delay) ? 1000 : delay);
+    }
+    /**
+     * Replaces the value with the stored draft when there is one that has
+     * not expired, unless the user typed while it was being read
+     * @internal
+     */
+    async restoreDraft() {
+        const key = this.getAttribute('autosave-key');
+        if (!key || !this.isConnected || key === this.draftKey)
+            return;
+        this.draftKey = key;
+        const value = this._value;
+        let draft = null;
+        try {
+            draft = JSON.parse(await this.draftStorage.getItem(`text-eria:${key}`) ?? 'null');
+        }
+        catch (error) {
+            this.dispatchDraftError('read', key, error);
+            return;
+        }
+        if (typeof draft?.value !== 'string')
+            return;
+        const ttl = parseFloat(this.getAttribute('autosave-ttl') ?? '604800');
+        if (ttl > 0 && !(Date.now() - draft.savedAt <= ttl * 1000)) {
+            this.removeDraft(key);
+            return;
+        }
+        if (draft.value === value || this._value !== value || this.getAttribute('autosave-key') !== key)
+            return;
+        this.draftPreviousValue = value;
+        this.setValue(draft.value);
+        this.showDraftNotice(true);
+        this.dispatchEvent(new CustomEvent('texteria-draft-restored', {
+            detail: { value: draft.value, previousValue: value, savedAt: new Date(draft.savedAt) },
+            bubbles: true,
+            composed: true
+        }));
+    }
+    /** @internal */
+    async removeDraft(key = this.getAttribute('autosave-key')) {
+        if (!key)
+            return;
+        try {
+            await this.draftStorage.removeItem(`text-eria:${key}`);
+        }
+        catch (error) {
+            this.dispatchDraftError('remove', key, error);
+        }
+    }
+    /**
+     * Reports a failing draft storage instead of letting the rejection escape
+     * @internal
+     */
+    dispatchDraftError(operation, key, error) {
+        this.dispatchEvent(new CustomEvent('texteria-draft-error', {
+            detail: { error, operation, key },
+            bubbles: true,
+            composed: true
+        }));
+    }
+    /**
+     * Shows or hides the "draft restored" notice with its Discard button
+     * @internal
+     */
+    showDraftNotice(visible) {
+        if (!this.draftNotice) {
+            if (!visible)
+                return;
+            this.draftNotice = document.createElement('div');
+            this.draftNotice.className = 'texteria-draft-notice';
+            this.draftNotice.setAttribute('role', 'status');
+            this.draftNotice.innerHTML = `<span>Restored an unsaved draft.</span><button class="texteria-draft-discard" type="button">Discard</button>`;
+            this.draftNotice.querySelector('button').addEventListener('click', () => {
+                this.discardDraft();
+                this.textarea.focus();
+            });
+            this.container.insertBefore(this.draftNotice, this.charCounter.parentElement);
+        }
+        this.draftNotice.hidden = !visible;
+    }
+    /** @internal */
+    historySnapshot() {
+        return { value: this._value, selectionStart: this.textarea.selectionStart, selectionEnd: this.textarea.selectionEnd };
+    }
+    /**
+     * Adds the current value to the undo history. Typing or deleting in one
+     * place within a second extends the latest entry; a space starts a new one.
+     * @internal
+     */
+    recordHistory(inputType, data) {
+        if (inputType === 'historyUndo' || inputType === 'historyRedo')
+            return;
+        const entry = this.history[this.historyIndex];
+        const before = this.pendingSelection ?? { start: entry.selectionStart, end: entry.selectionEnd };
+        this.pendingSelection = null;
+        if (entry.value === this._value)
+            return;
+        const now = Date.now();
+        const group = this.historyGroup;
+        if (group && group.type === inputType && COALESCING_INPUTS.has(inputType)
+            && now - group.time < HISTORY_COALESCE_DELAY
+            && !(inputType === 'insertText' && /\s/.test(data ?? ''))
+            && before.start === entry.selectionStart && before.end === entry.selectionEnd) {
+            this.history[this.historyIndex] = this.historySnapshot();
+            group.time = now;
+            return;
+        }
+        // Undoing returns the caret to where this edit was made
+        entry.selectionStart = before.start;
+        entry.selectionEnd = before.end;
+        this.history.length = this.historyIndex + 1;
+        this.history.push(this.historySnapshot());
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        this.historyIndex = this.history.length - 1;
+        this.historyGroup = { type: inputType, time: now };
+        this.dispatchHistory('push');
+    }
+    /**
+     * Puts the history entry at historyIndex into the textarea
+     * @internal
+     */
+    applyHistory(inputType) {
+        const entry = this.history[this.historyIndex];
+        this.historyGroup = null;
+        this.textarea.value = entry.value;
+        this.textarea.setSelectionRange(entry.selectionStart, entry.selectionEnd);
+        this.textarea.dispatchEvent(new InputEvent('input', { bubbles: true, inputType }));
+        this.dispatchHistory(inputType === 'historyUndo' ? 'undo' : 'redo');
+    }
+    /** @internal */
+    dispatchHistory(action) {
+        this.dispatchEvent(new CustomEvent('texteria-history', {
+            detail: { action, canUndo: this.canUndo, canRedo: this.canRedo },
+            bubbles: true,
+            composed: true
+        }));
+    }
+    /**
+     * Ctrl/⌘+Z undoes; Ctrl/⌘+Shift+Z and Ctrl+Y redo
+     * @internal
+     */
+    handleHistoryKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey)
+            return;
+        const key = event.key.toLowerCase();
+        if (key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey)
+                this.redo();
+            else
+                this.undo();
+        }
+        else if (key === 'y' && event.ctrlKey && !event.shiftKey) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+    /**
+     * Update ARIA attributes for accessibility
+     * @internal
+     */
+    updateAriaAttributes() {
+        const label = this.getAttribute('label');
+        if (label) {
+            this.textarea.setAttribute('aria-label', label);
+        }
+        if (this.textarea.required) {
+            this.textarea.setAttribute('aria-required', 'true');
+        }
+        else {
+            this.textarea.removeAttribute('aria-required');
+        }
+    }
+    // ========== Public API Methods ==========
+    /**
+     * Get the current value of the textarea
+     * @returns Current value as string
+     */
+    getValue() {
+        return this._value;
+    }
+    /**
+     * Set the value of the textarea programmatically
+     * @param value - New value to set
+     */
+    setValue(value) {
+        this._value = value;
+        this.textarea.value = value;
+        this.setAttribute('value', value);
+        this.updateCharCounter();
+        this.updateValidation();
+        if (this.hasAttribute('auto-resize')) {
             this.autoResize();
         }
     }
@@ -574,32 +2082,798 @@ export class ImaraTexteria extends HTMLElement {
         this.textarea.blur();
     }
     /**
-     * Check if the current value is valid
+     * Check if the current value is valid, without firing `invalid`
      * @returns True if valid, false otherwise
      */
     isValid() {
-        return !this.textarea.classList.contains('invalid');
+        return Object.keys(this.validityFlags).length === 0;
+    }
+    /**
+     * Check validity like a native form control; fires `invalid` when it fails
+     * @returns True if valid, false otherwise
+     */
+    checkValidity() {
+        return this.internals?.checkValidity() ?? this.isValid();
+    }
+    /**
+     * Check validity and let the browser report the problem to the user
+     * @returns True if valid, false otherwise
+     */
+    reportValidity() {
+        return this.internals?.reportValidity() ?? this.isValid();
+    }
+    /**
+     * Set a custom validation message; an empty string clears it
+     * @param message - Message shown and reported while the value is invalid
+     */
+    setCustomValidity(message) {
+        this.customMessage = String(message ?? '');
+        this.updateValidation();
+    }
+    /**
+     * Value restored when the owner form is reset; defaults to the initial value attribute
+     */
+    get defaultValue() {
+        return this._defaultValue ?? this.getAttribute('value') ?? '';
+    }
+    set defaultValue(value) {
+        this._defaultValue = String(value);
+    }
+    /**
+     * The owner form, if any
+     */
+    get form() {
+        return this.internals?.form ?? null;
+    }
+    /**
+     * `<label for>` elements pointing at the element
+     */
+    get labels() {
+        return this.internals?.labels ?? [];
+    }
+    /**
+     * Current validity flags
+     */
+    get validity() {
+        return this.internals?.validity ?? this.textarea.validity;
+    }
+    /**
+     * Current validation message, empty while valid
+     */
+    get validationMessage() {
+        return this.internals?.validationMessage ?? this.validationElement.textContent ?? '';
+    }
+    /**
+     * Whether the element takes part in constraint validation
+     */
+    get willValidate() {
+        return this.internals?.willValidate ?? false;
     }
     /**
      * Get character count
      * @returns Number of characters
      */
     getCharacterCount() {
-        return this._value.length;
+        return countText(this._value, this.countMode());
     }
     /**
-     * Get remaining characters (if maxlength is set)
-     * @returns Remaining characters or -1 if no limit
+     * Get remaining characters (if maxlength is set), in `count-mode` units
+     * @returns Remaining characters, negative past a soft limit, or -1 if no limit
      */
     getRemainingCharacters() {
-        if (this.textarea.maxLength > 0) {
-            return this.textarea.maxLength - this._value.length;
+        const max = this.lengthLimit('maxlength');
+        if (max !== null) {
+            return max - this.getCharacterCount();
         }
         return -1;
     }
+    /**
+     * Apply a markdown formatting command to the selection, like the toolbar
+     * @param command - bold | italic | link | list | code | quote
+     */
+    format(command) {
+        const { value, selectionStart: start, selectionEnd: end } = this.textarea;
+        const selected = value.slice(start, end);
+        switch (command) {
+            case 'bold':
+                this.wrapSelection('**', 'formatBold');
+                break;
+            case 'italic':
+                this.wrapSelection('_', 'formatItalic');
+                break;
+            case 'code':
+                if (selected.includes('\n')) {
+                    // Multi-line code becomes a fenced block on its own lines
+                    const before = start > 0 && value[start - 1] !== '\n' ? '\n' : '';
+                    const text = `${before}\`\`\`\n${selected.replace(/\n$/, '')}\n\`\`\``;
+                    this.applyEdit(start, end, text, start + before.length + 4, start + text.length - 4);
+                }
+                else {
+                    this.wrapSelection(selected.includes('`') ? '``' : '`');
+                }
+                break;
+            case 'link':
+                if (/^https?:\/\/\S+$/.test(selected)) {
+                    // A selected URL becomes the target; the caret goes to the link text
+                    this.applyEdit(start, end, `[](${selected})`, start + 1, start + 1, 'insertLink');
+                }
+                else {
+                    // The placeholder target is selected so typing replaces it
+                    const text = `[${selected}](url)`;
+                    this.applyEdit(start, end, text, start + selected.length + 3, start + selected.length + 6, 'insertLink');
+                }
+                break;
+            case 'list':
+                this.prefixLines('- ', /^([-*+]|\d+[.)]) /);
+                break;
+            case 'quote':
+                this.prefixLines('> ', /^> ?/);
+                break;
+            default:
+                return;
+        }
+        this.textarea.focus();
+    }
+    /**
+     * Switch markdown mode between the Write and Preview tabs
+     * @param force - true shows the preview, false the editor; omit to switch
+     * @returns Whether the preview is shown
+     */
+    togglePreview(force) {
+        const preview = Boolean(this.markdownBar) && this.hasAttribute('markdown') && (force ?? !this.previewing);
+        if (preview === this.previewing)
+            return preview;
+        this.previewing = preview;
+        if (preview) {
+            // Keep the layout steady when switching tabs
+            this.previewElement.style.minHeight = `${this.textarea.offsetHeight}px`;
+        }
+        this.textarea.hidden = preview;
+        this.previewElement.hidden = !preview;
+        this.markdownBar.querySelector('.texteria-toolbar').hidden = preview;
+        for (const tab of this.markdownBar.querySelectorAll('.texteria-tab')) {
+            const selected = (tab.id === 'tab-preview') === preview;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+        }
+        if (!preview) {
+            this.autoResize();
+        }
+        this.updatePreview();
+        return preview;
+    }
+    /**
+     * Function turning the markdown value into HTML for the preview, e.g.
+     * the renderer used to display the text elsewhere. May return a
+     * promise. The output is sanitized before it is shown. Defaults to
+     * the built-in `renderMarkdown`.
+     */
+    get markdownRenderer() {
+        return this._markdownRenderer;
+    }
+    set markdownRenderer(renderer) {
+        this._markdownRenderer = typeof renderer === 'function' ? renderer : renderMarkdown;
+        this.updatePreview();
+    }
+    /**
+     * Function returning mention suggestions for the text typed after a
+     * trigger character: `(query, { trigger, signal }) => items`, or a
+     * promise of them. Items are strings or `{ label, value, insert? }`;
+     * the inserted token is `insert`, or the trigger followed by `value`.
+     * Setting it turns the textarea into a combobox.
+     */
+    get mentionProvider() {
+        return this._mentionProvider;
+    }
+    set mentionProvider(provider) {
+        this._mentionProvider = typeof provider === 'function' ? provider : null;
+        this.mentionProviderAsync = false;
+        this.updateMentionState();
+    }
+    /**
+     * Get the selection
+     * @returns `{ start, end, direction, text }`; start equals end when nothing is selected
+     */
+    getSelection() {
+        const { value, selectionStart: start, selectionEnd: end, selectionDirection: direction } = this.textarea;
+        return { start, end, direction, text: value.slice(start, end) };
+    }
+    /**
+     * Select part of the text, or move the caret when `end` is omitted
+     * @param start - Index the selection starts at
+     * @param end - Index the selection ends at (default `start`)
+     * @param direction - forward | backward | none
+     */
+    setSelection(start, end = start, direction = 'none') {
+        const length = this._value.length;
+        const from = Math.min(Math.max(0, start), length);
+        this.textarea.setSelectionRange(from, Math.min(Math.max(from, end), length), direction);
+    }
+    /**
+     * Replace the selection with text, as one undoable edit that fires
+     * `texteria-input`
+     * @param text - Text to insert
+     * @param select - Where the caret goes afterwards: end (default) or start of the text, or select to select it
+     */
+    replaceSelection(text, select = 'end') {
+        const { selectionStart: start, selectionEnd: end } = this.textarea;
+        const value = String(text);
+        const after = start + value.length;
+        const [selectStart, selectEnd] = select === 'start' ? [start, start] : select === 'select' ? [start, after] : [after, after];
+        this.applyEdit(start, end, value, selectStart, selectEnd, 'insertReplacementText');
+    }
+    /**
+     * Insert text at the caret, after any selected text, and put the caret
+     * after it; one undoable edit that fires `texteria-input`
+     * @param text - Text to insert
+     */
+    insertAtCursor(text) {
+        const caret = this.textarea.selectionEnd;
+        const value = String(text);
+        this.applyEdit(caret, caret, value, caret + value.length, caret + value.length);
+    }
+    /**
+     * Undo the latest edit, including edits made with this API and `setValue()`
+     * @returns Whether there was an edit to undo
+     */
+    undo() {
+        if (!this.canUndo || this.textarea.disabled || this.textarea.readOnly)
+            return false;
+        this.historyIndex--;
+        this.applyHistory('historyUndo');
+        return true;
+    }
+    /**
+     * Redo the latest undone edit
+     * @returns Whether there was an edit to redo
+     */
+    redo() {
+        if (!this.canRedo || this.textarea.disabled || this.textarea.readOnly)
+            return false;
+        this.historyIndex++;
+        this.applyHistory('historyRedo');
+        return true;
+    }
+    /**
+     * Whether `undo()` has an edit to undo
+     */
+    get canUndo() {
+        return this.historyIndex > 0;
+    }
+    /**
+     * Whether `redo()` has an edit to redo
+     */
+    get canRedo() {
+        return this.historyIndex < this.history.length - 1;
+    }
+    /**
+     * Forget the undo history, e.g. after loading a saved document; the
+     * current value becomes the oldest state
+     */
+    clearHistory() {
+        this.history = [this.historySnapshot()];
+        this.historyIndex = 0;
+        this.historyGroup = null;
+        this.dispatchHistory('clear');
+    }
+    /**
+     * Where `autosave-key` drafts are kept: any object with `getItem`,
+     * `setItem` and `removeItem`, which may return promises, such as
+     * `sessionStorage`, `createIndexedDBStorage()` or
+     * `createMemoryStorage()`. Defaults to `localStorage`.
+     */
+    get draftStorage() {
+        return this._draftStorage ?? defaultDraftStorage();
+    }
+    set draftStorage(storage) {
+        this._draftStorage = storage ?? null;
+        // Look the draft up again in the new storage
+        this.draftKey = null;
+        this.restoreDraft();
+    }
+    /**
+     * Save the draft now instead of after `autosave-delay`. A value equal
+     * to `defaultValue` removes the draft instead.
+     */
+    async saveDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = undefined;
+        const key = this.getAttribute('autosave-key');
+        if (!key)
+            return;
+        if (this._value === this.defaultValue) {
+            await this.removeDraft(key);
+            return;
+        }
+        try {
+            await this.draftStorage.setItem(`text-eria:${key}`, JSON.stringify({ value: this._value, savedAt: Date.now() }));
+        }
+        catch (error) {
+            this.dispatchDraftError('save', key, error);
+        }
+    }
+    /**
+     * Delete the stored draft and keep the current text. Call it when the
+     * value was saved some other way, e.g. by a submit handler that
+     * cancels the submission and sends the form with `fetch()`
+     */
+    async clearDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = undefined;
+        this.draftPreviousValue = null;
+        this.showDraftNotice(false);
+        await this.removeDraft();
+    }
+    /**
+     * Delete the stored draft; text restored from it goes back to the
+     * value it replaced
+     */
+    async discardDraft() {
+        const previous = this.draftPreviousValue;
+        const cleared = this.clearDraft();
+        if (previous !== null) {
+            this.setValue(previous);
+        }
+        await cleared;
+    }
+    /**
+     * Get the mentions inserted from suggestions that are still in the text
+     * @returns Mentions in text order, as `{ trigger, value, label, item, text, start, end }`
+     */
+    getMentions() {
+        const mentions = [];
+        for (const [text, mention] of this.mentionTokens) {
+            let start = this._value.indexOf(text);
+            while (start !== -1) {
+                const end = start + text.length;
+                // "@ann" inside "@anna" is not the same mention
+                if (!WORD_CHARACTER.test(this._value[start - 1] ?? '') && !WORD_CHARACTER.test(this._value[end] ?? '')) {
+                    mentions.push({ ...mention, text, start, end });
+                }
+                start = this._value.indexOf(text, end);
+            }
+        }
+        return mentions.sort((a, b) => a.start - b.start);
+    }
+}
+ImaraTexteria.formAssociated = true;
+const icon = (path) => `<svg viewBox="0 0 16 16" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">${path}</svg>`;
+/**
+ * Toolbar commands with their shortcuts; Shift shortcuts match on
+ * `event.code` so they work on any keyboard layout
+ */
+const MARKDOWN_COMMANDS = [
+    { command: 'bold', label: 'Bold', key: 'b', icon: icon('<path d="M4.5 2.5h4.25a2.75 2.75 0 0 1 0 5.5H4.5zM4.5 8h5a2.75 2.75 0 0 1 0 5.5h-5z" />') },
+    { command: 'italic', label: 'Italic', key: 'i', icon: icon('<path d="M10 2.5H6.5M9.5 13.5H6M9 2.5l-2 11" />') },
+    { command: 'link', label: 'Link', key: 'k', icon: icon('<path d="M6.5 9.5a3 3 0 0 0 4.24 0l2-2a3 3 0 0 0-4.24-4.24l-.75.75M9.5 6.5a3 3 0 0 0-4.24 0l-2 2a3 3 0 0 0 4.24 4.24l.75-.75" />') },
+    { command: 'list', label: 'Bulleted list', key: '8', code: 'Digit8', shift: true, icon: icon('<path d="M6 4h7.5M6 8h7.5M6 12h7.5M2.5 4h.01M2.5 8h.01M2.5 12h.01" />') },
+    { command: 'code', label: 'Code', key: 'e', icon: icon('<path d="M5.5 4.5L2 8l3.5 3.5M10.5 4.5L14 8l-3.5 3.5" />') },
+    { command: 'quote', label: 'Quote', key: '.', code: 'Period', shift: true, icon: icon('<path d="M3 3.5v9M6 5h7.5M6 8h7.5M6 11h5" />') }
+];
+/** Styles copied to the mirror element that measures the caret position */
+const MIRROR_PROPERTIES = [
+    'boxSizing', 'width', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'fontFamily', 'fontSize', 'fontStyle', 'fontVariant',
+    'fontWeight', 'fontStretch', 'lineHeight', 'letterSpacing', 'wordSpacing', 'textIndent', 'textTransform', 'tabSize'
+];
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+const COUNT_MODES = ['graphemes', 'code-units', 'bytes', 'words'];
+/** Edits that extend the latest history entry when they follow each other */
+const COALESCING_INPUTS = new Set(['insertText', 'insertCompositionText', 'deleteContentBackward', 'deleteContentForward']);
+const HISTORY_COALESCE_DELAY = 1000;
+const HISTORY_LIMIT = 200;
+const COUNTER_UNITS = { graphemes: '', 'code-units': '', bytes: ' bytes', words: ' words' };
+const segmenters = {};
+/**
+ * Splits text into graphemes or words, with `Intl.Segmenter` where it
+ * exists; the fallback splits into code points and whitespace-separated words
+ * @returns Segments as `{ segment, index, isWordLike }`
+ */
+function textSegments(text, granularity) {
+    if (typeof Intl.Segmenter === 'function') {
+        segmenters[granularity] ??= new Intl.Segmenter(undefined, { granularity });
+        return Array.from(segmenters[granularity].segment(text));
+    }
+    const pattern = granularity === 'word' ? /\S+/gu : /[\s\S]/gu;
+    return Array.from(text.matchAll(pattern), (match) => ({ segment: match[0], index: match.index, isWordLike: true }));
+}
+/** UTF-8 length of one code point */
+const utf8Size = (char) => {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+/** Length of `text` in a `count-mode` */
+function countText(text, mode) {
+    switch (mode) {
+        case 'code-units':
+            return text.length;
+        case 'bytes': {
+            let bytes = 0;
+            for (const char of text) {
+                bytes += utf8Size(char);
+            }
+            return bytes;
+        }
+        case 'words':
+            return textSegments(text, 'word').filter((segment) => segment.isWordLike).length;
+        default:
+            return textSegments(text, 'grapheme').length;
+    }
+}
+/**
+ * Where the first `limit` units of `text` end, as a string index; for
+ * words, where the first word past the limit starts
+ */
+function limitIndex(text, limit, mode) {
+    switch (mode) {
+        case 'code-units':
+            // Do not split a surrogate pair
+            return /[\uD800-\uDBFF]/.test(text[limit - 1] ?? '') ? limit - 1 : Math.min(limit, text.length);
+        case 'bytes': {
+            let bytes = 0;
+            let index = 0;
+            for (const char of text) {
+                bytes += utf8Size(char);
+                if (bytes > limit)
+                    return index;
+                index += char.length;
+            }
+            return text.length;
+        }
+        default: {
+            const segments = mode === 'words'
+                ? textSegments(text, 'word').filter((segment) => segment.isWordLike)
+                : textSegments(text, 'grapheme');
+            return segments.length > limit ? segments[limit].index : text.length;
+        }
+    }
+}
+const countLabel = (count, mode) => `${count} ${mode === 'words' ? 'word' : mode === 'bytes' ? 'byte' : 'character'}${count === 1 ? '' : 's'}`;
+/** Turns a provider item into `{ label, value, insert?, item }` */
+const normalizeMention = (item) => {
+    if (item !== null && typeof item === 'object') {
+        const label = String(item.label ?? item.value ?? '');
+        const insert = item.insert == null ? undefined : String(item.insert);
+        return { label, value: String(item.value ?? label), insert, item };
+    }
+    return { label: String(item), value: String(item), item };
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+/**
+ * Inline markdown: code spans, images, links, autolinks, bold, italic,
+ * strikethrough and hard line breaks. Text is escaped first, so raw
+ * HTML is shown as text.
+ */
+function renderInline(text) {
+    const codes = [];
+    // Code spans are set aside so their content is not formatted
+    let html = text.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_match, _ticks, code) => {
+        codes.push(`<code>${escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+    html = escapeHtml(html)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^"]*?)&quot;)?\)/g, (_match, alt, src, title) => (isSafeUrl(src, false)
+        ? `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`
+        : alt))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^"]*?)&quot;)?\)/g, (_match, label, href, title) => (isSafeUrl(href, true)
+        ? `<a href="${href}"${title ? ` title="${title}"` : ''}>${label}</a>`
+        : label))
+        .replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/g, '<a href="$1">$1</a>')
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+    return html.replace(/\u0000(\d+)\u0000/g, (_match, index) => codes[Number(index)]);
+}
+/**
+ * Renders the items of one list; indented lines belong to the item above
+ */
+function renderList(lines, start) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const indent = first[1].length;
+    // A different bullet or delimiter, e.g. `)` after `.`, starts a new list
+    const sameList = (item) => item[1].length <= indent + 1 && item[2].slice(-1) === first[2].slice(-1) && /\d/.test(item[2]) === ordered;
+    const items = [];
+    let index = start;
+    let previousBlank = false;
+    while (index < lines.length) {
+        const line = lines[index];
+        const item = LIST_ITEM.exec(line);
+        if (item && sameList(item)) {
+            items.push({ lines: [line.slice(item[0].length)], loose: previousBlank && items.length > 0, column: item[0].length });
+        }
+        else if (!line.trim()) {
+            // A blank line only continues the list if more of it follows
+            const next = lines[index + 1] ?? '';
+            if (!(/^\s/.test(next) && next.trim()) && !(LIST_ITEM.test(next) && sameList(LIST_ITEM.exec(next)))) {
+                break;
+            }
+            items[items.length - 1].lines.push('');
+        }
+        else if (/^\s/.test(line) || (!previousBlank && !isBlockStart(line))) {
+            // Indented content, or a lazy continuation of the item's paragraph;
+            // nested lists keep their indentation relative to the item text
+            const current = items[items.length - 1];
+            current.lines.push(line.replace(new RegExp(`^ {0,${current.column}}`), ''));
+        }
+        else {
+            break;
+        }
+        previousBlank = !line.trim();
+        index++;
+    }
+    const loose = items.some((item) => item.loose || item.lines.slice(0, -1).includes(''));
+    const html = items.map(({ lines: content }) => {
+        let text = content.join('\n').replace(/\n+$/, '');
+        let checkbox = '';
+        const task = /^\[([ xX])\]\s+/.exec(text);
+        if (task) {
+            checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+            text = text.slice(task[0].length);
+        }
+        const body = renderBlocks(text.split('\n'));
+        // Tight lists keep their item text out of paragraphs
+        return `<li>${checkbox}${loose ? body : body.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+    }).join('\n');
+    const number = parseInt(first[2], 10);
+    const open = ordered ? `<ol${number !== 1 ? ` start="${number}"` : ''}>` : '<ul>';
+    return { html: `${open}\n${html}\n${ordered ? '</ol>' : '</ul>'}`, end: index };
+}
+/**
+ * Block markdown: fenced code, headings, rules, quotes, lists and paragraphs
+ */
+function renderBlocks(lines) {
+    const output = [];
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const body = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                body.push(lines[index++]);
+            }
+            index++;
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            output.push(`<pre><code${language}>${escapeHtml(body.join('\n'))}</code></pre>`);
+            continue;
+        }
+        const heading = HEADING.exec(line);
+        if (heading) {
+            output.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+            index++;
+            continue;
+        }
+        if (RULE.test(line)) {
+            output.push('<hr>');
+            index++;
+            continue;
+        }
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (index < lines.length && lines[index].trim() && (QUOTE.test(lines[index]) || !isBlockStart(lines[index]))) {
+                quoted.push(lines[index++].replace(QUOTE, ''));
+            }
+            output.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+            continue;
+        }
+        if (LIST_ITEM.test(line)) {
+            const list = renderList(lines, index);
+            output.push(list.html);
+            index = list.end;
+            continue;
+        }
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !isBlockStart(lines[index]))) {
+            paragraph.push(lines[index++].trimStart());
+        }
+        output.push(`<p>${renderInline(paragraph.join('\n').trimEnd())}</p>`);
+    }
+    return output.join('\n');
+}
+/**
+ * Renders markdown to HTML for the `text-eria` preview
+ *
+ * Supports headings, paragraphs, emphasis, strikethrough, inline and
+ * fenced code, links, images, quotes, ordered, bulleted and task lists
+ * and rules. Raw HTML in the source is escaped, not rendered.
+ *
+ * @param markdown - Markdown source
+ * @returns An HTML string
+ */
+export function renderMarkdown(markdown) {
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+    return renderBlocks(lines);
+}
+/** Elements kept in the preview, with the attributes each may keep */
+const ALLOWED_ELEMENTS = {
+    a: ['href', 'title'], b: [], blockquote: [], br: [], code: ['class'], del: [], em: [], hr: [], i: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], img: ['src', 'alt', 'title'], input: ['type', 'checked'],
+    li: [], ol: ['start'], p: [], pre: [], s: [], strong: [], sub: [], sup: [],
+    table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'], ul: []
+};
+/** Elements dropped with their content; anything else unknown is unwrapped */
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'template', 'iframe', 'frame', 'object', 'embed', 'noscript',
+    'form', 'textarea', 'select', 'button', 'link', 'meta', 'base', 'svg', 'math']);
+/**
+ * Relative URLs and http(s) are allowed everywhere, mailto only in links
+ */
+function isSafeUrl(url, allowMailto) {
+    const normalized = url.replace(/[\u0000- \u007f]/g, '');
+    const scheme = /^([a-z][a-z\d+.-]*):/i.exec(normalized);
+    if (!scheme)
+        return true;
+    const protocol = scheme[1].toLowerCase();
+    return protocol === 'http' || protocol === 'https' || (allowMailto && protocol === 'mailto');
+}
+/**
+ * Removes every element, attribute and URL not on the allow lists
+ */
+function sanitizeNode(node) {
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === Node.TEXT_NODE)
+            continue;
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            child.remove();
+            continue;
+        }
+        const tag = child.localName;
+        const allowed = Object.prototype.hasOwnProperty.call(ALLOWED_ELEMENTS, tag) ? ALLOWED_ELEMENTS[tag] : null;
+        if (!allowed) {
+            if (DROPPED_ELEMENTS.has(tag)) {
+                child.remove();
+            }
+            else {
+                sanitizeNode(child);
+                child.replaceWith(...Array.from(child.childNodes));
+            }
+            continue;
+        }
+        for (const attribute of Array.from(child.attributes)) {
+            const isUrl = attribute.name === 'href' || attribute.name === 'src';
+            const keep = allowed.includes(attribute.name) && (!isUrl || isSafeUrl(attribute.value, attribute.name === 'href'));
+            if (!keep) {
+                child.removeAttribute(attribute.name);
+            }
+        }
+        if (tag === 'input') {
+            // Only read-only task list checkboxes
+            if (child.getAttribute('type') !== 'checkbox') {
+                child.remove();
+                continue;
+            }
+            child.setAttribute('disabled', '');
+        }
+        if (tag === 'a') {
+            child.setAttribute('target', '_blank');
+            child.setAttribute('rel', 'noopener noreferrer');
+        }
+        sanitizeNode(child);
+    }
+}
+/**
+ * Parses HTML into an inert fragment and strips anything that could run
+ * script or load unexpected content
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return template.content;
+}
+/**
+ * Draft storage keeping values in memory, e.g. for tests or private modes
+ * @returns A `Storage`-like adapter
+ */
+export function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        }
+    };
+}
+/**
+ * Draft storage in IndexedDB, for drafts too large for `localStorage`.
+ * Its methods return promises.
+ * @param databaseName - Database to keep the drafts in (default `imara-drafts`)
+ * @returns A `Storage`-like adapter
+ */
+export function createIndexedDBStorage(databaseName = 'imara-drafts') {
+    let database = null;
+    const open = () => {
+        database ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('drafts');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return database;
+    };
+    const run = async (mode, action) => {
+        const store = (await open()).transaction('drafts', mode).objectStore('drafts');
+        return new Promise((resolve, reject) => {
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+    return {
+        getItem: async (key) => (await run('readonly', (store) => store.get(key))) ?? null,
+        setItem: async (key, value) => {
+            await run('readwrite', (store) => store.put(String(value), key));
+        },
+        removeItem: async (key) => {
+            await run('readwrite', (store) => store.delete(key));
+        }
+    };
+}
+let fallbackDraftStorage = null;
+/**
+ * `localStorage`, or memory where it is unavailable (blocked cookies,
+ * sandboxed frames)
+ */
+function defaultDraftStorage() {
+    try {
+        if (globalThis.localStorage)
+            return globalThis.localStorage;
+    }
+    catch (_error) {
+        // Accessing localStorage throws when storage is blocked
+    }
+    fallbackDraftStorage ??= createMemoryStorage();
+    return fallbackDraftStorage;
+}
+/**
+ * Default tag name for ImaraTexteria
+ */
+export const TAG_NAME = 'text-eria';
+/**
+ * Registers ImaraTexteria as a custom element
+ *
+ * Safe to call more than once: nothing happens if the tag is already
+ * defined in the registry. The platform allows one name per constructor
+ * and registry, so a second tag name in the same registry is backed by a
+ * subclass.
+ *
+ * @param tagName - Tag to register (default `text-eria`)
+ * @param registry - Registry to define it in, e.g. a scoped
+ * `CustomElementRegistry` (default the global `customElements`)
+ * @returns The tag name the element is available under
+ */
+export function define(tagName = TAG_NAME, registry = customElements) {
+    if (registry.get(tagName)) {
+        return tagName;
+    }
+    try {
+        registry.define(tagName, ImaraTexteria);
+    }
+    catch (_error) {
+        // The class already has a name here; an invalid tag name throws again below
+        registry.define(tagName, class extends ImaraTexteria {
+        });
+    }
+    return tagName;
 }
-// Register the custom element
-customElements.define('text-eria', ImaraTexteria);
 // Export for TypeScript modules
 export default ImaraTexteria;
 //# sourceMappingURL=texteria.js.map
\ No newline at end of file
@@ -0,0 +1,367 @@
+/**
+ * Custom Elements Manifest generation
+ *
+ * Reads a component's built sources and describes its public API in the
+ * Custom Elements Manifest format (`custom-elements.json`, schema 1.0.0).
+ * Everything is taken from the code itself:
+ *
+ * - tag name from the `TAG_NAME` constant behind `define()`, or a
+ *   literal `customElements.define` call
+ * - attributes from `observedAttributes`
+ * - properties and methods from the class body
+ * - events from dispatched `CustomEvent`s
+ * - slots and CSS parts from the shadow DOM template
+ * - CSS custom properties from the `:host` rules in the styles
+ *
+ * The class JSDoc header (`@element`, `@attr`, `@fires`, `@slot`,
+ * `@csspart`, `@cssprop`) only contributes descriptions, and
+ * `checkDocumentation` reports every place where it disagrees with the code.
+ *
+ * Methods are public unless their name starts with `_` or their doc
+ * comment carries `@internal`.
+ *
+ * @module imara/analyze
+ */
+import { readFile } from 'node:fs/promises';
+import { registryFilePath } from './manifest.js';
+export const CEM_FILE = 'custom-elements.json';
+const LIFECYCLE = new Set([
+    'constructor',
+    'connectedCallback',
+    'connectedMoveCallback',
+    'disconnectedCallback',
+    'adoptedCallback',
+    'attributeChangedCallback',
+    'formAssociatedCallback',
+    'formResetCallback',
+    'formDisabledCallback',
+    'formStateRestoreCallback'
+]);
+const MEMBER_PATTERN = /^ {4}(static\s+)?(async\s+)?(?:(get|set)\s+)?([A-Za-z_$][\w$]*)\s*\(([^)]*)\)\s*\{/;
+/**
+ * Builds the manifest for one registry component
+ */
+export async function analyzeComponent(registryDir, entry) {
+    const modules = [];
+    const declarations = [];
+    for (const file of entry.files) {
+        if (!file.endsWith('.js'))
+            continue;
+        const source = await readFile(registryFilePath(registryDir, entry.name, file), 'utf8');
+        const module = analyzeModule(file, source);
+        modules.push(module);
+        declarations.push(...module.declarations);
+    }
+    return {
+        schemaVersion: '1.0.0',
+        readme: '',
+        modules,
+        // Not part of the format; stripped before writing
+        problems: declarations.flatMap((declaration) => declaration.problems || [])
+    };
+}
+/**
+ * Serializes a manifest returned by analyzeComponent
+ */
+export function formatCem(cem) {
+    const { problems: _problems, ...output } = cem;
+    const modules = output.modules.map((module) => ({
+        ...module,
+        declarations: module.declarations.map(({ problems: _ignored, ...declaration }) => declaration)
+    }));
+    return JSON.stringify({ ...output, modules }, null, 2) + '\n';
+}
+function analyzeModule(path, source) {
+    const declarations = [];
+    const exports = [];
+    const definitions = new Map();
+    for (const [className, tag] of definedTags(source)) {
+        definitions.set(className, tag);
+    }
+    for (const match of source.matchAll(/^export class ([A-Za-z_$][\w$]*) extends ([A-Za-z_$][\w$]*)\s*\{/gm)) {
+        const declaration = analyzeClass(source, match, definitions.get(match[1]) || null);
+        declarations.push(declaration);
+        exports.push({ kind: 'js', name: declaration.name, declaration: { name: declaration.name, module: path } });
+        if (declaration.tagName) {
+            exports.push({
+                kind: 'custom-element-definition',
+                name: declaration.tagName,
+                declaration: { name: declaration.name, module: path }
+            });
+        }
+    }
+    for (const match of source.matchAll(/^export\s*\{([^}]*)\}\s*from\s*['"]\.\/([^'"]+)['"]/gm)) {
+        for (const name of match[1].split(',').map((part) => part.trim()).filter(Boolean)) {
+            exports.push({ kind: 'js', name, declaration: { name, module: match[2] } });
+        }
+    }
+    for (const match of source.matchAll(/^export function ([A-Za-z_$][\w$]*)\s*\(([^)]*)\)/gm)) {
+        const doc = parseDocComment(commentBefore(source, match.index));
+        declarations.push(compact({
+            kind: 'function',
+            name: match[1],
+            description: doc.description,
+            parameters: parseParameters(match[2], doc)
+        }));
+        exports.push({ kind: 'js', name: match[1], declaration: { name: match[1], module: path } });
+    }
+    for (const match of source.matchAll(/^export const ([A-Za-z_$][\w$]*)\s*=\s*(.+);$/gm)) {
+        const doc = parseDocComment(commentBefore(source, match.index));
+        declarations.push(compact({ kind: 'variable', name: match[1], description: doc.description, default: match[2] }));
+        exports.push({ kind: 'js', name: match[1], declaration: { name: match[1], module: path } });
+    }
+    const defaultExport = /^export default ([A-Za-z_$][\w$]*);/m.exec(source);
+    if (defaultExport) {
+        exports.push({ kind: 'js', name: 'default', declaration: { name: defaultExport[1], module: path } });
+    }
+    return { kind: 'javascript-module', path, declarations, exports };
+}
+function analyzeClass(source, match, tagName) {
+    const name = match[1];
+    const start = match.index;
+    // Compiled classes close with a brace in the first column
+    const end = source.indexOf('\n}', start);
+    const body = source.slice(start, end === -1 ? source.length : end);
+    const header = parseDocComment(findHeader(source, start));
+    const members = [];
+    let attributes = [];
+    const lines = body.split('\n');
+    lines.forEach((line, index) => {
+        const member = MEMBER_PATTERN.exec(line);
+        if (!member)
+            return;
+        const [, isStatic, , accessor, memberName, params] = member;
+        const doc = parseDocComment(precedingComment(lines, index));
+        if (isStatic && accessor === 'get' && memberName === 'observedAttributes') {
+            attributes = observedAttributes(lines.slice(index).join('\n'));
+            return;
+        }
+        if (LIFECYCLE.has(memberName) || isStatic)
+            return;
+        const privacy = memberName.startsWith('_') || doc.tags.some((tag) => tag.tag === 'internal' || tag.tag === 'private')
+            ? 'private'
+            : 'public';
+        if (accessor) {
+            const existing = members.find((item) => item.kind === 'field' && item.name === memberName);
+            if (existing) {
+                if (accessor === 'set')
+                    delete existing.readonly;
+                existing.description = existing.description || doc.description;
+                return;
+            }
+            members.push(compact({
+                kind: 'field',
+                name: memberName,
+                privacy,
+                description: doc.description,
+                readonly: accessor === 'get' ? true : undefined
+            }));
+            return;
+        }
+        members.push(compact({
+            kind: 'method',
+            name: memberName,
+            privacy,
+            description: doc.description,
+            parameters: parseParameters(params, doc)
+        }));
+    });
+    const docs = indexTags(header);
+    const declaration = compact({
+        kind: 'class',
+        description: header.description,
+        name,
+        tagName: tagName || undefined,
+        customElement: true,
+        superclass: { name: match[2] },
+        attributes: attributes.map((attribute) => compact({
+            name: attribute,
+            type: docs.attr.has(attribute) && docs.attr.get(attribute).type ? { text: docs.attr.get(attribute).type } : undefined,
+            description: docs.attr.has(attribute) ? docs.attr.get(attribute).description : undefined
+        })),
+        members,
+        events: unique(matchAll(body, /new CustomEvent\(\s*['"]([\w:-]+)['"]/g)).map((event) => compact({
+            name: event,
+            type: { text: 'CustomEvent' },
+            description: docs.fires.has(event) ? docs.fires.get(event).description : undefined
+        })),
+        slots: templateSlots(body).map((slot) => compact({
+            name: slot,
+            description: docs.slot.has(slot) ? docs.slot.get(slot).description : undefined
+        })),
+        cssParts: templateParts(body).map((part) => compact({
+            name: part,
+            description: docs.csspart.has(part) ? docs.csspart.get(part).description : undefined
+        })),
+        cssProperties: hostProperties(body).map(({ name: property, value }) => compact({
+            name: property,
+            default: value,
+            description: docs.cssprop.has(property) ? docs.cssprop.get(property).description : undefined
+        }))
+    });
+    declaration.problems = checkDocumentation(declaration, header, docs);
+    return declaration;
+}
+/**
+ * Lists every disagreement between a class's JSDoc header and its code
+ */
+function checkDocumentation(declaration, header, docs) {
+    const problems = [];
+    const where = declaration.name;
+    const element = header.tags.find((tag) => tag.tag === 'element');
+    if (!element) {
+        problems.push(`${where}: JSDoc has no @element tag`);
+    }
+    else if (declaration.tagName && element.name !== declaration.tagName) {
+        problems.push(`${where}: JSDoc says @element ${element.name} but the class is defined as <${declaration.tagName}>`);
+    }
+    const compare = (label, documented, actual) => {
+        for (const item of documented) {
+            if (!actual.includes(item))
+                problems.push(`${where}: JSDoc documents ${label} "${item}" that the code does not have`);
+        }
+        for (const item of actual) {
+            if (!documented.includes(item))
+                problems.push(`${where}: ${label} "${item}" is not documented in JSDoc`);
+        }
+    };
+    compare('@attr', [...docs.attr.keys()], (declaration.attributes || []).map((item) => item.name));
+    compare('@fires', [...docs.fires.keys()], (declaration.events || []).map((item) => item.name));
+    compare('@slot', [...docs.slot.keys()], (declaration.slots || []).map((item) => item.name));
+    compare('@csspart', [...docs.csspart.keys()], (declaration.cssParts || []).map((item) => item.name));
+    compare('@cssprop', [...docs.cssprop.keys()], (declaration.cssProperties || []).map((item) => item.name));
+    return problems;
+}
+// ----------------------------
+// Source extraction
+// ----------------------------
+/**
+ * Maps class names to the tag they are registered under, either by a
+ * literal `customElements.define('tag', Class)` or by a module's
+ * `TAG_NAME` constant and its `define()` helper
+ */
+export function definedTags(source) {
+    const tags = new Map();
+    for (const match of source.matchAll(/customElements\.define\(\s*['"]([^'"]+)['"]\s*,\s*([A-Za-z_$][\w$]*)/g)) {
+        tags.set(match[2], match[1]);
+    }
+    const constant = /^export const TAG_NAME\s*=\s*['"]([^'"]+)['"]/m.exec(source);
+    const helper = /\.define\(\s*tagName\s*,\s*([A-Za-z_$][\w$]*)\s*\)/.exec(source);
+    if (constant && helper) {
+        tags.set(helper[1], constant[1]);
+    }
+    return tags;
+}
+function observedAttributes(text) {
+    const list = /return\s*\[([\s\S]*?)\]/.exec(text);
+    return list ? matchAll(list[1], /['"]([^'"]+)['"]/g) : [];
+}
+function templateSlots(body) {
+    const slots = [];
+    for (const match of body.matchAll(/<slot(?:\s+name="([^"]*)")?[^>]*>/g)) {
+        slots.push(match[1] || '');
+    }
+    return unique(slots);
+}
+function templateParts(body) {
+    const parts = [
+        ...matchAll(body, /\spart="([^"]+)"/g),
+        ...matchAll(body, /setAttribute\(\s*'part'\s*,\s*'([^']+)'\s*\)/g)
+    ];
+    return unique(parts.flatMap((value) => value.split(/\s+/)));
+}
+function hostProperties(body) {
+    const properties = new Map();
+    for (const block of matchAll(body, /:host\s*\{([^}]*)\}/g)) {
+        for (const declaration of block.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+            // Later :host blocks are media-query overrides; keep the base value
+            if (!properties.has(declaration[1])) {
+                properties.set(declaration[1], declaration[2].trim());
+            }
+        }
+    }
+    return [...properties].map(([name, value]) => ({ name, value }));
+}
+function parseParameters(params, doc) {
+    return params.split(',').map((param) => param.trim()).filter(Boolean).map((param) => {
+        const [name, defaultValue] = param.split('=').map((part) => part.trim());
+        const tag = doc.tags.find((item) => item.tag === 'param' && item.name === name);
+        return compact({
+            name,
+            default: defaultValue,
+            optional: defaultValue !== undefined ? true : undefined,
+            description: tag ? tag.description : undefined
+        });
+    });
+}
+// ----------------------------
+// JSDoc
+// ----------------------------
+/**
+ * The doc comment that documents the custom element: the nearest one
+ * before the class that carries an `@element` tag, else the nearest one
+ */
+function findHeader(source, classStart) {
+    const comments = [...source.slice(0, classStart).matchAll(/\/\*\*[\s\S]*?\*\//g)].map((match) => match[0]);
+    return comments.reverse().find((comment) => /@element\b/.test(comment)) || comments[0] || '';
+}
+function precedingComment(lines, index) {
+    if (!lines[index - 1] || !lines[index - 1].trim().endsWith('*/'))
+        return '';
+    let start = index - 1;
+    while (start > 0 && !lines[start].trim().startsWith('/**'))
+        start--;
+    return lines.slice(start, index).join('\n');
+}
+function commentBefore(source, index) {
+    const before = source.slice(0, index).trimEnd();
+    if (!before.endsWith('*/'))
+        return '';
+    return before.slice(before.lastIndexOf('/**'));
+}
+function parseDocComment(comment) {
+    const text = comment
+        .replace(/^\s*\/\*\*/, '')
+        .replace(/\*\/\s*$/, '')
+        .split('\n')
+        .map((line) => line.replace(/^\s*\*\s?/, '').replace(/^(\*\s)+/, ''))
+        .join('\n');
+    const [description, ...blocks] = ('\n' + text).split(/\n(?=@)/);
+    return { description: description.trim() || undefined, tags: blocks.map(parseTag) };
+}
+function parseTag(block) {
+    const match = /^@(\w+)\s*(?:\{([^}]*)\})?\s*([^\s]*)?\s*(?:-\s*)?([\s\S]*)$/.exec(block.trim());
+    const [, tag, type, rawName = '', description] = match;
+    // `@slot - Default slot` has no name
+    const name = rawName === '-' ? '' : rawName;
+    const text = (rawName === '-' ? description.replace(/^-?\s*/, '') : description).replace(/\s+/g, ' ').trim();
+    return { tag, type, name, description: text || undefined };
+}
+function indexTags(header) {
+    const aliases = { attribute: 'attr', event: 'fires', cssproperty: 'cssprop', part: 'csspart' };
+    const index = { attr: new Map(), fires: new Map(), slot: new Map(), csspart: new Map(), cssprop: new Map() };
+    for (const tag of header.tags) {
+        const kind = aliases[tag.tag] || tag.tag;
+        if (index[kind])
+            index[kind].set(tag.name, tag);
+    }
+    return index;
+}
+// ----------------------------
+// Helpers
+// ----------------------------
+function matchAll(text, pattern) {
+    return [...text.matchAll(pattern)].map((match) => match[1]);
+}
+function unique(values) {
+    return [...new Set(values)];
+}
+function compact(object) {
+    const output = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (value === undefined || (Array.isArray(value) && !value.length))
+            continue;
+        output[key] = value;
+    }
+    return output;
+}
@@ -0,0 +1,254 @@
+/**
+ * imara CLI
+ *
+ * Installs registry components into a consuming project. Everything is
+ * read from a local registry checkout, so no network access is needed.
+ *
+ * Run `imara --help` for the command list.
+ *
+ * @module imara/cli
+ */
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import { readFile, writeFile } from 'node:fs/promises';
+import { analyzeComponent, CEM_FILE, formatCem } from './analyze.js';
+import { resolveConfig } from './config.js';
+import { ImaraError } from './errors.js';
+import { inspectComponent, installComponent, needsUpdate } from './install.js';
+import { readLockfile, writeLockfile } from './lockfile.js';
+import { findComponent, loadManifest, readManifest, registryFilePath } from './manifest.js';
+import { describeReason, resolveDependencies } from './resolve.js';
+import { validateRegistry, writeIntegrity } from './validate.js';
+const USAGE = `Usage: imara <command> [options]
+
+Commands:
+  add <component...>      Copy components and their dependencies into the project
+  list                    Show registry components
+  diff [component...]     Compare installed copies with the registry
+  update [component...]   Bring installed components up to date
+  validate                Check the registry manifest against its files
+  analyze                 Generate custom-elements.json for every component
+
+Options:
+  --registry <dir>        Registry checkout to install from
+  --target <dir>          Install directory (default: components/imara)
+  --cwd <dir>             Project directory (default: current directory)
+  --force                 Overwrite locally modified files
+  --write                 (validate) Rewrite integrity hashes in manifest.json
+  --check                 (analyze) Fail instead of writing when anything is stale
+  -h, --help              Show this help`;
+const COMMANDS = { add, list, diff, update, validate, analyze };
+/**
+ * Runs the CLI and resolves to the process exit code
+ */
+export async function run(argv, { cwd = process.cwd(), log = console.log, error = console.error } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                registry: { type: 'string' },
+                target: { type: 'string' },
+                cwd: { type: 'string' },
+                force: { type: 'boolean', default: false },
+                write: { type: 'boolean', default: false },
+                check: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    }
+    catch (err) {
+        error(`imara: ${err.message}\n\n${USAGE}`);
+        return 1;
+    }
+    const [command, ...names] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        log(USAGE);
+        return 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        error(`imara: unknown command "${command}"\n\n${USAGE}`);
+        return 1;
+    }
+    try {
+        const projectDir = resolve(cwd, parsed.values.cwd || '.');
+        const config = await resolveConfig(projectDir, parsed.values);
+        // validate reports schema problems itself instead of failing on load
+        const manifest = command === 'validate'
+            ? await readManifest(config.registryDir)
+            : await loadManifest(config.registryDir);
+        const lock = await readLockfile(projectDir);
+        return await COMMANDS[command]({ config, manifest, lock, names, flags: parsed.values, log, error });
+    }
+    catch (err) {
+        if (err instanceof ImaraError) {
+            error(`imara: ${err.message}`);
+            return 1;
+        }
+        throw err;
+    }
+}
+// ----------------------------
+// Commands
+// ----------------------------
+async function add({ config, manifest, lock, names, flags, log }) {
+    if (!names.length) {
+        throw new ImaraError('Nothing to add. Usage: imara add <component...>');
+    }
+    // Resolve the whole graph first so a typo or conflict does not leave a partial install
+    const order = resolveDependencies(manifest, names, lock);
+    for (const item of order) {
+        const { entry } = item;
+        const report = await inspectComponent(config, lock, entry);
+        if (report.installed && !needsUpdate(report)) {
+            log(`= ${entry.name}@${entry.version} already installed in ${report.path}`);
+            continue;
+        }
+        await installComponent(config, lock, entry, { force: flags.force });
+        await writeLockfile(config.projectDir, lock);
+        log(`+ ${entry.name}@${entry.version} -> ${lock.components[entry.name].path} (${describeReason(item)})`);
+    }
+    return 0;
+}
+async function list({ manifest, lock, log }) {
+    for (const entry of manifest.components) {
+        const record = lock.components[entry.name];
+        let status = '';
+        if (record) {
+            status = isCurrent(record, entry)
+                ? '  (installed)'
+                : `  (installed ${record.version}, update available)`;
+        }
+        log(`${entry.name}@${entry.version}  ${entry.description || ''}${status}`);
+        const dependencies = Object.entries(entry.dependencies || {});
+        if (dependencies.length) {
+            log(`  requires ${dependencies.map(([name, range]) => `${name} ${range}`).join(', ')}`);
+        }
+    }
+    return 0;
+}
+/**
+ * True when the files recorded at install time are exactly the ones the
+ * manifest lists now, with the same hashes, so a change to a component's
+ * files shows up even if its version was not bumped
+ */
+function isCurrent(record, entry) {
+    const recorded = Object.keys(record.files);
+    return record.version === entry.version &&
+        recorded.length === entry.files.length &&
+        entry.files.every((file) => record.files[file] === entry.integrity[file]);
+}
+async function diff({ config, manifest, lock, names, log }) {
+    const entries = installedEntries(manifest, lock, names);
+    if (!entries.length) {
+        log('No components installed.');
+        return 0;
+    }
+    for (const entry of entries) {
+        const report = await inspectComponent(config, lock, entry);
+        if (!needsUpdate(report)) {
+            log(`${entry.name}: up to date (${entry.version})`);
+            continue;
+        }
+        const version = report.installedVersion === report.version
+            ? report.version
+            : `${report.installedVersion} -> ${report.version}`;
+        log(`${entry.name}: ${version}`);
+        for (const file of report.files) {
+            if (file.state !== 'unchanged') {
+                log(`  ${file.state.padEnd(9)} ${report.path}/${file.file}`);
+            }
+        }
+    }
+    return 0;
+}
+async function update({ config, manifest, lock, names, flags, log }) {
+    const entries = installedEntries(manifest, lock, names);
+    // Updated components may have picked up new dependencies
+    const order = resolveDependencies(manifest, entries.map((entry) => entry.name), lock);
+    let updated = 0;
+    for (const item of order) {
+        const { entry } = item;
+        const report = await inspectComponent(config, lock, entry);
+        if (report.installed && !needsUpdate(report))
+            continue;
+        await installComponent(config, lock, entry, { force: flags.force });
+        await writeLockfile(config.projectDir, lock);
+        if (report.installed) {
+            log(`~ ${entry.name} ${report.installedVersion} -> ${entry.version}`);
+        }
+        else {
+            log(`+ ${entry.name}@${entry.version} -> ${lock.components[entry.name].path} (${describeReason(item)})`);
+        }
+        updated++;
+    }
+    if (!updated) {
+        log('Everything is up to date.');
+    }
+    return 0;
+}
+async function validate({ config, manifest, flags, log, error }) {
+    if (flags.write) {
+        await writeIntegrity(config.registryDir, manifest);
+        log('Updated integrity hashes in manifest.json');
+    }
+    const problems = await validateRegistry(config.registryDir, manifest);
+    if (problems.length) {
+        for (const problem of problems) {
+            error(`  ${problem}`);
+        }
+        error(`imara: ${problems.length} problem${problems.length === 1 ? '' : 's'} found in ${config.registryDir}`);
+        return 1;
+    }
+    log(`manifest.json is valid (${manifest.components.length} components)`);
+    return 0;
+}
+async function analyze({ config, manifest, flags, log, error }) {
+    const mismatches = [];
+    const stale = [];
+    for (const entry of manifest.components) {
+        const cem = await analyzeComponent(config.registryDir, entry);
+        mismatches.push(...cem.problems.map((problem) => `${entry.name}: ${problem}`));
+        const path = registryFilePath(config.registryDir, entry.name, CEM_FILE);
+        const output = formatCem(cem);
+        if (flags.check) {
+            const current = await readFile(path, 'utf8').catch(() => null);
+            if (current !== output) {
+                stale.push(`${entry.name}: ${CEM_FILE} is out of date, run "imara analyze"`);
+            }
+            continue;
+        }
+        await writeFile(path, output);
+        log(`Wrote components/${entry.name}/dist/${CEM_FILE}`);
+    }
+    if (!mismatches.length && !stale.length) {
+        return 0;
+    }
+    for (const problem of [...mismatches, ...stale]) {
+        error(`  ${problem}`);
+    }
+    const summary = [];
+    if (mismatches.length) {
+        summary.push(`JSDoc and code disagree in ${mismatches.length} place${mismatches.length === 1 ? '' : 's'}`);
+    }
+    if (stale.length) {
+        summary.push(`${stale.length} ${CEM_FILE} file${stale.length === 1 ? ' is' : 's are'} out of date`);
+    }
+    error(`imara: ${summary.join(', and ')}`);
+    return 1;
+}
+/**
+ * Manifest entries for the given names, or for every installed component
+ */
+function installedEntries(manifest, lock, names) {
+    if (names.length) {
+        return names.map((name) => {
+            if (!lock.components[name]) {
+                throw new ImaraError(`Component "${name}" is not installed. Use "imara add ${name}".`);
+            }
+            return findComponent(manifest, name);
+        });
+    }
+    return Object.keys(lock.components).map((name) => findComponent(manifest, name));
+}
@@ -0,0 +1,50 @@
+/**
+ * CLI configuration
+ *
+ * Settings are resolved from, in increasing priority: built-in defaults,
+ * `imara.config.json` in the project directory, and command-line flags.
+ *
+ * @module imara/config
+ */
+import { readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ImaraError } from './errors.js';
+export const CONFIG_NAME = 'imara.config.json';
+/**
+ * The registry checkout this CLI ships in
+ */
+export const DEFAULT_REGISTRY = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+export const DEFAULT_TARGET = 'components/imara';
+/**
+ * Builds the effective configuration for a project directory
+ */
+export async function resolveConfig(projectDir, flags = {}) {
+    const fileConfig = await readConfigFile(projectDir);
+    const registry = flags.registry || fileConfig.registry || DEFAULT_REGISTRY;
+    const target = flags.target || fileConfig.target || DEFAULT_TARGET;
+    return {
+        projectDir,
+        registryDir: resolve(projectDir, registry),
+        target,
+        targetDir: resolve(projectDir, target)
+    };
+}
+async function readConfigFile(projectDir) {
+    const path = join(projectDir, CONFIG_NAME);
+    let source;
+    try {
+        source = await readFile(path, 'utf8');
+    }
+    catch (error) {
+        if (error.code === 'ENOENT')
+            return {};
+        throw error;
+    }
+    try {
+        return JSON.parse(source);
+    }
+    catch (error) {
+        throw new ImaraError(`Invalid JSON in ${path}: ${error.message}`);
+    }
+}
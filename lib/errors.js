@@ -0,0 +1,13 @@
+/**
+ * Error raised for expected, user-facing failures (unknown component,
+ * locally modified files, malformed manifest). The CLI prints its message
+ * without a stack trace.
+ *
+ * @module imara/errors
+ */
+export class ImaraError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImaraError';
+    }
+}
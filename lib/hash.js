@@ -0,0 +1,29 @@
+/**
+ * Integrity hashing helpers
+ *
+ * Hashes are written in Subresource Integrity form (`sha256-<base64>`)
+ * so they can be compared directly against lockfile entries.
+ *
+ * @module imara/hash
+ */
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+/**
+ * Hashes a buffer or string
+ */
+export function hashContent(content) {
+    return 'sha256-' + createHash('sha256').update(content).digest('base64');
+}
+/**
+ * Hashes a file on disk, or returns null when it does not exist
+ */
+export async function hashFile(path) {
+    try {
+        return hashContent(await readFile(path));
+    }
+    catch (error) {
+        if (error.code === 'ENOENT')
+            return null;
+        throw error;
+    }
+}
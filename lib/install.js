@@ -0,0 +1,136 @@
+/**
+ * Component installation
+ *
+ * Copies the files a manifest entry lists from the registry into
+ * `<target>/<name>/` and keeps the lockfile in step. Files whose content
+ * no longer matches the hash recorded at install time are treated as
+ * locally modified and are never overwritten or removed unless forced.
+ *
+ * @module imara/install
+ */
+import { copyFile, mkdir, rm } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { ImaraError } from './errors.js';
+import { hashFile } from './hash.js';
+import { registryFilePath } from './manifest.js';
+/**
+ * Directory a component is installed into, relative to the project
+ */
+export function installPath(config, name) {
+    return relative(config.projectDir, join(config.targetDir, name)).split(sep).join('/');
+}
+/**
+ * Compares a component's registry files, lockfile record and installed
+ * copy. Each file is reported with one of these states:
+ *
+ * - `unchanged` — installed copy matches the registry
+ * - `outdated`  — installed copy is untouched but the registry differs
+ * - `modified`  — installed copy was edited after install
+ * - `missing`   — recorded in the lockfile but deleted locally
+ * - `conflict`  — not installed by imara, yet a different file is in the way
+ * - `new`       — listed in the manifest but not installed
+ * - `removed`   — installed but no longer listed in the manifest
+ */
+export async function inspectComponent(config, lock, entry) {
+    const record = lock.components[entry.name];
+    const dir = join(config.projectDir, record ? record.path : installPath(config, entry.name));
+    const lockedFiles = record ? record.files : {};
+    const names = new Set([...entry.files, ...Object.keys(lockedFiles)]);
+    const files = [];
+    for (const file of names) {
+        const listed = entry.files.includes(file);
+        const lockedHash = lockedFiles[file] || null;
+        const localHash = await hashFile(join(dir, file));
+        const registryHash = listed
+            ? await hashFile(registryFilePath(config.registryDir, entry.name, file))
+            : null;
+        if (listed && registryHash === null) {
+            throw new ImaraError(`Registry is missing components/${entry.name}/dist/${file}`);
+        }
+        files.push({ file, state: fileState(listed, lockedHash, localHash, registryHash) });
+    }
+    return {
+        name: entry.name,
+        installed: Boolean(record),
+        installedVersion: record ? record.version : null,
+        version: entry.version,
+        path: record ? record.path : installPath(config, entry.name),
+        files
+    };
+}
+function fileState(listed, lockedHash, localHash, registryHash) {
+    if (lockedHash === null) {
+        if (localHash === null)
+            return 'new';
+        return localHash === registryHash ? 'unchanged' : 'conflict';
+    }
+    if (localHash === null)
+        return listed ? 'missing' : 'removed';
+    if (localHash !== lockedHash)
+        return 'modified';
+    if (!listed)
+        return 'removed';
+    return localHash === registryHash ? 'unchanged' : 'outdated';
+}
+/**
+ * True when the installed copy differs from the registry in any way
+ */
+export function needsUpdate(report) {
+    return report.installedVersion !== report.version ||
+        report.files.some((file) => file.state !== 'unchanged');
+}
+/**
+ * Checks every registry file against the hash the manifest records for
+ * it, so a tampered or stale checkout is never copied into a project
+ */
+export async function verifyIntegrity(config, entry) {
+    for (const file of entry.files) {
+        const expected = entry.integrity[file];
+        const actual = await hashFile(registryFilePath(config.registryDir, entry.name, file));
+        if (actual !== expected) {
+            throw new ImaraError(`Integrity check failed for components/${entry.name}/dist/${file}: manifest records ${expected || 'no hash'}, file is ${actual || 'missing'}. Run "imara validate" in the registry.`);
+        }
+    }
+}
+/**
+ * Installs (or reinstalls) a component and records it in the lockfile.
+ * Throws without touching the disk if local edits would be lost and
+ * `force` is not set, or if the registry files fail their integrity check.
+ */
+export async function installComponent(config, lock, entry, { force = false } = {}) {
+    const report = await inspectComponent(config, lock, entry);
+    const dirty = report.files.filter((file) => file.state === 'modified' || file.state === 'conflict');
+    if (dirty.length && !force) {
+        const list = dirty.map((file) => `  ${report.path}/${file.file} (${file.state})`).join('\n');
+        throw new ImaraError(`Refusing to overwrite locally modified files of "${entry.name}":\n${list}\nRe-run with --force to discard local changes.`);
+    }
+    await verifyIntegrity(config, entry);
+    const record = lock.components[entry.name];
+    const previousDir = record ? join(config.projectDir, record.path) : null;
+    const dir = join(config.targetDir, entry.name);
+    // Drop files the manifest no longer lists (or everything, when moving targets)
+    if (previousDir) {
+        for (const file of Object.keys(record.files)) {
+            if (previousDir !== dir || !entry.files.includes(file)) {
+                await rm(join(previousDir, file), { force: true });
+            }
+        }
+    }
+    await mkdir(dir, { recursive: true });
+    const files = {};
+    for (const file of entry.files) {
+        const destination = join(dir, file);
+        await copyFile(registryFilePath(config.registryDir, entry.name, file), destination);
+        files[file] = await hashFile(destination);
+    }
+    lock.components[entry.name] = {
+        version: entry.version,
+        path: installPath(config, entry.name),
+        files
+    };
+    // Kept so later installs can check they stay compatible with this component
+    if (entry.dependencies && Object.keys(entry.dependencies).length) {
+        lock.components[entry.name].dependencies = { ...entry.dependencies };
+    }
+    return report;
+}
@@ -0,0 +1,53 @@
+/**
+ * Project lockfile (`imara.lock.json`)
+ *
+ * Records which components were installed, at which version, and the
+ * integrity hash of every file as it was written. Comparing those hashes
+ * with the files on disk is how local modifications are detected.
+ *
+ * @module imara/lockfile
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ImaraError } from './errors.js';
+export const LOCKFILE_NAME = 'imara.lock.json';
+export const LOCKFILE_VERSION = 1;
+/**
+ * Reads the lockfile of a project, returning an empty one if absent
+ */
+export async function readLockfile(projectDir) {
+    const path = join(projectDir, LOCKFILE_NAME);
+    let source;
+    try {
+        source = await readFile(path, 'utf8');
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') {
+            return { lockfileVersion: LOCKFILE_VERSION, components: {} };
+        }
+        throw error;
+    }
+    let lock;
+    try {
+        lock = JSON.parse(source);
+    }
+    catch (error) {
+        throw new ImaraError(`Invalid JSON in ${path}: ${error.message}`);
+    }
+    if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+        throw new ImaraError(`Unsupported lockfile version ${lock.lockfileVersion} in ${path}`);
+    }
+    lock.components = lock.components || {};
+    return lock;
+}
+/**
+ * Writes the lockfile with components sorted by name for stable diffs
+ */
+export async function writeLockfile(projectDir, lock) {
+    const components = {};
+    for (const name of Object.keys(lock.components).sort()) {
+        components[name] = lock.components[name];
+    }
+    const output = { ...lock, lockfileVersion: LOCKFILE_VERSION, components };
+    await writeFile(join(projectDir, LOCKFILE_NAME), JSON.stringify(output, null, 2) + '\n');
+}
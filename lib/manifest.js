@@ -0,0 +1,75 @@
+/**
+ * Registry manifest loading
+ *
+ * The registry is a plain directory holding `manifest.json` and a
+ * `components/<name>/dist/` folder per component, so a local checkout is
+ * all that is needed to install from it.
+ *
+ * @module imara/manifest
+ */
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ImaraError } from './errors.js';
+import { validateSchema } from './schema.js';
+const SCHEMA_URL = new URL('../manifest.schema.json', import.meta.url);
+let schema = null;
+/**
+ * The manifest JSON Schema shipped with the CLI
+ */
+export async function loadSchema() {
+    if (!schema) {
+        schema = JSON.parse(await readFile(SCHEMA_URL, 'utf8'));
+    }
+    return schema;
+}
+/**
+ * Reads and parses `manifest.json` from a registry directory without
+ * checking its structure
+ */
+export async function readManifest(registryDir) {
+    const path = join(registryDir, 'manifest.json');
+    let source;
+    try {
+        source = await readFile(path, 'utf8');
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new ImaraError(`No manifest.json found in registry ${registryDir}`);
+        }
+        throw error;
+    }
+    try {
+        return JSON.parse(source);
+    }
+    catch (error) {
+        throw new ImaraError(`Invalid JSON in ${path}: ${error.message}`);
+    }
+}
+/**
+ * Reads `manifest.json` and rejects it if it does not match the schema
+ */
+export async function loadManifest(registryDir) {
+    const manifest = await readManifest(registryDir);
+    const errors = validateSchema(await loadSchema(), manifest);
+    if (errors.length) {
+        const list = errors.map((error) => `  ${error.path || '/'} ${error.message}`).join('\n');
+        throw new ImaraError(`manifest.json in ${registryDir} is invalid:\n${list}\nRun "imara validate" for details.`);
+    }
+    return manifest;
+}
+/**
+ * Looks up a component entry by name
+ */
+export function findComponent(manifest, name) {
+    const entry = manifest.components.find((component) => component.name === name);
+    if (!entry) {
+        throw new ImaraError(`Unknown component "${name}". Run "imara list" to see what is available.`);
+    }
+    return entry;
+}
+/**
+ * Absolute path of a component file inside the registry
+ */
+export function registryFilePath(registryDir, name, file) {
+    return join(registryDir, 'components', name, 'dist', file);
+}
@@ -0,0 +1,111 @@
+/**
+ * Dependency resolution
+ *
+ * Manifest entries may declare `dependencies` on other registry
+ * components as `{ "<name>": "<semver range>" }`. Resolution walks the
+ * full transitive graph and yields an install order in which every
+ * component comes after the components it depends on.
+ *
+ * The registry holds exactly one version of each component, so a
+ * conflict is any declared range that version does not satisfy — whether
+ * the range comes from the manifest or from a component already recorded
+ * in the project lockfile.
+ *
+ * @module imara/resolve
+ */
+import { ImaraError } from './errors.js';
+import { satisfies, validRange } from './semver.js';
+/**
+ * Plans the installation of `names` and everything they depend on.
+ * Returns `{ order, problems }`; `order` lists `{ entry, direct, requiredBy }`
+ * in topological order, `problems` lists cycles, unknown components and
+ * version conflicts.
+ */
+export function planInstall(manifest, names, lock = { components: {} }) {
+    const entries = new Map(manifest.components.map((entry) => [entry.name, entry]));
+    const problems = [];
+    const plan = new Map();
+    const order = [];
+    const stack = [];
+    const reportedCycles = new Set();
+    const visit = (name) => {
+        const cycleStart = stack.indexOf(name);
+        if (cycleStart !== -1) {
+            const cycle = [...stack.slice(cycleStart), name].join(' -> ');
+            if (!reportedCycles.has(cycle)) {
+                reportedCycles.add(cycle);
+                problems.push(`Dependency cycle: ${cycle}`);
+            }
+            return;
+        }
+        if (plan.get(name).visited)
+            return;
+        const entry = entries.get(name);
+        stack.push(name);
+        for (const [dependency, range] of Object.entries(entry.dependencies || {})) {
+            const target = entries.get(dependency);
+            if (!target) {
+                problems.push(`"${name}" depends on unknown component "${dependency}"`);
+                continue;
+            }
+            if (!validRange(range)) {
+                problems.push(`"${name}" declares invalid range "${range}" for "${dependency}"`);
+                continue;
+            }
+            if (!satisfies(target.version, range)) {
+                problems.push(`Version conflict: "${name}" requires ${dependency}@${range}, registry has ${target.version}`);
+            }
+            if (!plan.has(dependency)) {
+                plan.set(dependency, { entry: target, direct: false, requiredBy: [], visited: false });
+            }
+            plan.get(dependency).requiredBy.push({ name, range });
+            visit(dependency);
+        }
+        stack.pop();
+        plan.get(name).visited = true;
+        order.push(plan.get(name));
+    };
+    for (const name of names) {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw new ImaraError(`Unknown component "${name}". Run "imara list" to see what is available.`);
+        }
+        if (!plan.has(name)) {
+            plan.set(name, { entry, direct: true, requiredBy: [], visited: false });
+        }
+        plan.get(name).direct = true;
+        visit(name);
+    }
+    // Components already in the project must stay compatible with what we install
+    for (const [installed, record] of Object.entries(lock.components)) {
+        for (const [dependency, range] of Object.entries(record.dependencies || {})) {
+            const planned = plan.get(dependency);
+            if (planned && !plan.has(installed) && !satisfies(planned.entry.version, range)) {
+                problems.push(`Version conflict: installed "${installed}" requires ${dependency}@${range}, registry has ${planned.entry.version}`);
+            }
+        }
+    }
+    return {
+        order: order.map(({ entry, direct, requiredBy }) => ({ entry, direct, requiredBy })),
+        problems
+    };
+}
+/**
+ * Like planInstall, but throws if the graph cannot be installed
+ */
+export function resolveDependencies(manifest, names, lock) {
+    const { order, problems } = planInstall(manifest, names, lock);
+    if (problems.length) {
+        throw new ImaraError(`Cannot resolve dependencies:\n${problems.map((problem) => `  ${problem}`).join('\n')}`);
+    }
+    return order;
+}
+/**
+ * Explains why a planned component is being installed
+ */
+export function describeReason(item) {
+    const parents = item.requiredBy.map(({ name, range }) => `${name} ${range}`);
+    if (!parents.length)
+        return 'requested';
+    return `${item.direct ? 'requested, also ' : ''}required by ${parents.join(', ')}`;
+}
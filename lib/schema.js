@@ -0,0 +1,100 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset of draft 2020-12 used by `manifest.schema.json`
+ * (type, required, properties, additionalProperties, propertyNames,
+ * items, minItems, uniqueItems, minLength, pattern and local `$ref`s),
+ * which keeps the CLI free of runtime dependencies.
+ *
+ * @module imara/schema
+ */
+/**
+ * Validates a value and returns a list of `{ path, message }` errors,
+ * where `path` is a JSON Pointer into the value
+ */
+export function validateSchema(schema, value) {
+    const errors = [];
+    check(schema, value, '', schema, errors);
+    return errors;
+}
+function check(schema, value, path, root, errors) {
+    if (schema.$ref) {
+        check(resolveRef(root, schema.$ref), value, path, root, errors);
+        return;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ path, message: `must be ${schema.type}, got ${typeOf(value)}` });
+        return;
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `"${value}" does not match ${schema.pattern}` });
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            for (const item of value) {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) {
+                    errors.push({ path, message: `contains duplicate item ${key}` });
+                }
+                seen.add(key);
+            }
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${path}/${index}`, root, errors));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push({ path, message: `is missing required property "${key}"` });
+            }
+        }
+        const properties = schema.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = `${path}/${escapePointer(key)}`;
+            if (schema.propertyNames) {
+                check(schema.propertyNames, key, itemPath, root, errors);
+            }
+            if (key in properties) {
+                check(properties[key], item, itemPath, root, errors);
+            }
+            else if (schema.additionalProperties === false) {
+                errors.push({ path: itemPath, message: 'is not allowed' });
+            }
+            else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, item, itemPath, root, errors);
+            }
+        }
+    }
+}
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+function typeOf(value) {
+    if (value === null)
+        return 'null';
+    if (Array.isArray(value))
+        return 'array';
+    if (Number.isInteger(value))
+        return 'integer';
+    return typeof value;
+}
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref values are supported, got ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, part) => node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+function escapePointer(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
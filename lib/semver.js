@@ -0,0 +1,162 @@
+/**
+ * Semantic version helpers
+ *
+ * Implements the range syntax used by npm for the cases the manifest
+ * needs: exact versions, `x`/`*` wildcards, `^` and `~`, comparison
+ * operators, space-separated intersections and `||` unions.
+ *
+ * @module imara/semver
+ */
+const VERSION_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z.-]+))?$/;
+const PARTIAL_PATTERN = /^v?(\*|x|X|0|[1-9]\d*)(?:\.(\*|x|X|0|[1-9]\d*))?(?:\.(\*|x|X|0|[1-9]\d*))?(?:-([0-9A-Za-z.-]+))?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/;
+/**
+ * Parses `MAJOR.MINOR.PATCH[-pre]`, or returns null
+ */
+export function parseVersion(version) {
+    const match = VERSION_PATTERN.exec(String(version).trim());
+    if (!match)
+        return null;
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+/**
+ * Orders two versions; returns a negative, zero or positive number
+ */
+export function compareVersions(a, b) {
+    const left = typeof a === 'string' ? parseVersion(a) : a;
+    const right = typeof b === 'string' ? parseVersion(b) : b;
+    for (const key of ['major', 'minor', 'patch']) {
+        if (left[key] !== right[key])
+            return left[key] - right[key];
+    }
+    // A pre-release sorts before its release
+    if (!left.prerelease.length || !right.prerelease.length) {
+        return right.prerelease.length - left.prerelease.length;
+    }
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        const x = left.prerelease[i];
+        const y = right.prerelease[i];
+        if (x === undefined)
+            return -1;
+        if (y === undefined)
+            return 1;
+        if (x === y)
+            continue;
+        const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+        if (numeric)
+            return Number(x) - Number(y);
+        return x < y ? -1 : 1;
+    }
+    return 0;
+}
+/**
+ * True if the range is syntactically valid
+ */
+export function validRange(range) {
+    return parseRange(range) !== null;
+}
+/**
+ * True if the version falls inside the range
+ */
+export function satisfies(version, range) {
+    const parsed = parseVersion(version);
+    const sets = parseRange(range);
+    if (!parsed || !sets)
+        return false;
+    return sets.some((comparators) => comparators.every(({ operator, bound }) => {
+        const order = compareVersions(parsed, bound);
+        switch (operator) {
+            case '>=': return order >= 0;
+            case '>': return order > 0;
+            case '<': return order < 0;
+            case '<=': return order <= 0;
+            default: return order === 0;
+        }
+    }) && allowsPrerelease(parsed, comparators));
+}
+/**
+ * As in npm, a pre-release only matches a set that opts into pre-releases
+ * of the same `MAJOR.MINOR.PATCH`, so `^1.0.0` never picks `2.0.0-beta`
+ */
+function allowsPrerelease(version, comparators) {
+    if (!version.prerelease.length)
+        return true;
+    return comparators.some(({ bound }) => bound.prerelease.length > 0 &&
+        bound.major === version.major &&
+        bound.minor === version.minor &&
+        bound.patch === version.patch);
+}
+/**
+ * Turns a range into a list of comparator sets (`||` alternatives), each
+ * a list of `{ operator, bound }` that must all hold
+ */
+function parseRange(range) {
+    const sets = [];
+    for (const alternative of String(range).split('||')) {
+        const comparators = [];
+        const tokens = alternative.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+        for (const token of tokens.length ? tokens : ['*']) {
+            const expanded = expandComparator(token);
+            if (!expanded)
+                return null;
+            comparators.push(...expanded);
+        }
+        sets.push(comparators);
+    }
+    return sets;
+}
+function expandComparator(token) {
+    const [, operator = '', rest] = COMPARATOR_PATTERN.exec(token);
+    const match = PARTIAL_PATTERN.exec(rest);
+    if (!match)
+        return null;
+    const isWild = (part) => part === undefined || part === '*' || part === 'x' || part === 'X';
+    const major = isWild(match[1]) ? null : Number(match[1]);
+    const minor = major === null || isWild(match[2]) ? null : Number(match[2]);
+    const patch = minor === null || isWild(match[3]) ? null : Number(match[3]);
+    const prerelease = patch !== null && match[4] ? match[4].split('.') : [];
+    const version = (x, y, z, pre = []) => ({ major: x, minor: y, patch: z, prerelease: pre });
+    const low = version(major || 0, minor || 0, patch || 0, prerelease);
+    if (major === null) {
+        return operator === '<' || operator === '>' ? [{ operator: '<', bound: version(0, 0, 0) }] : [];
+    }
+    switch (operator) {
+        case '^': {
+            let high;
+            if (major > 0 || minor === null)
+                high = version(major + 1, 0, 0);
+            else if (minor > 0 || patch === null)
+                high = version(0, minor + 1, 0);
+            else
+                high = version(0, 0, patch + 1);
+            return [{ operator: '>=', bound: low }, { operator: '<', bound: high }];
+        }
+        case '~': {
+            const high = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+            return [{ operator: '>=', bound: low }, { operator: '<', bound: high }];
+        }
+        case '>':
+        case '<=':
+            // A partial upper bound covers the whole unspecified tail
+            if (patch === null) {
+                const next = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+                return [{ operator: operator === '>' ? '>=' : '<', bound: next }];
+            }
+            return [{ operator, bound: low }];
+        case '>=':
+        case '<':
+            return [{ operator, bound: low }];
+        default: {
+            if (patch !== null)
+                return [{ operator: '=', bound: low }];
+            const high = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+            return [{ operator: '>=', bound: low }, { operator: '<', bound: high }];
+        }
+    }
+}
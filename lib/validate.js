@@ -0,0 +1,105 @@
+/**
+ * Registry validation
+ *
+ * Goes beyond the JSON Schema to check the manifest against the files it
+ * describes: every listed file exists, its integrity hash is current, the
+ * element it registers (its `TAG_NAME`) matches the declared `tag`, and the dependency
+ * graph resolves without cycles or version conflicts.
+ *
+ * @module imara/validate
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { definedTags } from './analyze.js';
+import { hashContent } from './hash.js';
+import { loadSchema, registryFilePath } from './manifest.js';
+import { planInstall } from './resolve.js';
+import { validateSchema } from './schema.js';
+/**
+ * Validates a registry and returns a list of human-readable problems
+ */
+export async function validateRegistry(registryDir, manifest) {
+    const problems = validateSchema(await loadSchema(), manifest)
+        .map((error) => `manifest.json${error.path || ''} ${error.message}`);
+    // Anything further assumes a structurally sound manifest
+    if (problems.length)
+        return problems;
+    const seen = new Set();
+    for (const entry of manifest.components) {
+        const prefix = `${entry.name}:`;
+        if (seen.has(entry.name)) {
+            problems.push(`${prefix} listed more than once`);
+        }
+        seen.add(entry.name);
+        for (const file of Object.keys(entry.integrity)) {
+            if (!entry.files.includes(file)) {
+                problems.push(`${prefix} integrity recorded for unlisted file ${file}`);
+            }
+        }
+        const tags = new Set();
+        for (const file of entry.files) {
+            const relativePath = `components/${entry.name}/dist/${file}`;
+            const content = await readRegistryFile(registryDir, entry.name, file);
+            if (content === null) {
+                problems.push(`${prefix} ${relativePath} does not exist`);
+                continue;
+            }
+            const expected = entry.integrity[file];
+            const actual = hashContent(content);
+            if (!expected) {
+                problems.push(`${prefix} no integrity hash recorded for ${file}`);
+            }
+            else if (expected !== actual) {
+                problems.push(`${prefix} integrity mismatch for ${relativePath} (manifest ${expected}, file ${actual})`);
+            }
+            for (const tag of definedTags(content.toString('utf8')).values()) {
+                tags.add(tag);
+            }
+        }
+        if (!tags.size) {
+            problems.push(`${prefix} no element registration found in ${entry.files.join(', ')}`);
+        }
+        for (const tag of tags) {
+            if (tag !== entry.tag) {
+                problems.push(`${prefix} registers <${tag}> but manifest declares tag "${entry.tag}"`);
+            }
+        }
+    }
+    problems.push(...planInstall(manifest, manifest.components.map((entry) => entry.name)).problems);
+    return problems;
+}
+/**
+ * Recomputes the integrity hash of every listed file and rewrites
+ * `manifest.json`. Missing files are left without a hash.
+ */
+export async function writeIntegrity(registryDir, manifest) {
+    for (const entry of manifest.components) {
+        const integrity = {};
+        for (const file of entry.files || []) {
+            const content = await readRegistryFile(registryDir, entry.name, file);
+            if (content !== null) {
+                integrity[file] = hashContent(content);
+            }
+        }
+        entry.integrity = integrity;
+    }
+    await writeFile(join(registryDir, 'manifest.json'), formatManifest(manifest));
+}
+/**
+ * Serializes the manifest, keeping string lists such as `files` on one
+ * line the way the file is written by hand
+ */
+function formatManifest(manifest) {
+    return JSON.stringify(manifest, null, 2)
+        .replace(/\[\n\s*("[^"\n]*"(?:,\n\s*"[^"\n]*")*)\n\s*\]/g, (_match, items) => `[${items.split(/,\n\s*/).join(', ')}]`) + '\n';
+}
+async function readRegistryFile(registryDir, name, file) {
+    try {
+        return await readFile(registryFilePath(registryDir, name, file));
+    }
+    catch (error) {
+        if (error.code === 'ENOENT')
+            return null;
+        throw error;
+    }
+}
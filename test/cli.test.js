@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { run } from '../lib/cli.js';
+import { hashContent } from '../lib/hash.js';
+
+let root;
+let registryDir;
+let projectDir;
+
+async function publish(content, version = '1.0.0') {
+    await writeFile(join(registryDir, 'components', 'button', 'dist', 'index.js'), content);
+    const manifest = {
+        name: 'test-registry',
+        version: '0.0.0',
+        components: [{
+            name: 'button',
+            version,
+            description: 'Button',
+            tag: 'imara-btn',
+            files: ['index.js'],
+            integrity: { 'index.js': hashContent(content) }
+        }]
+    };
+    await writeFile(join(registryDir, 'manifest.json'), JSON.stringify(manifest));
+}
+
+async function imara(...args) {
+    const output = [];
+    const code = await run([...args, '--registry', registryDir], {
+        cwd: projectDir,
+        log: (line) => output.push(line),
+        error: (line) => output.push(line)
+    });
+    return { code, output };
+}
+
+beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'imara-test-'));
+    registryDir = join(root, 'registry');
+    projectDir = join(root, 'project');
+    await mkdir(join(registryDir, 'components', 'button', 'dist'), { recursive: true });
+    await mkdir(projectDir);
+});
+
+afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+});
+
+describe('imara list', () => {
+    it('shows installed components as current while their hashes match', async () => {
+        await publish('export {};\n');
+        assert.equal((await imara('add', 'button')).code, 0);
+        const { output } = await imara('list');
+        assert.deepEqual(output, ['button@1.0.0  Button  (installed)']);
+    });
+
+    it('reports an update when the files change without a version bump', async () => {
+        await publish('export {};\n');
+        await imara('add', 'button');
+        await publish('export const changed = true;\n');
+        const { output } = await imara('list');
+        assert.deepEqual(output, ['button@1.0.0  Button  (installed 1.0.0, update available)']);
+    });
+
+    it('reports an update when the version changes', async () => {
+        await publish('export {};\n');
+        await imara('add', 'button');
+        await publish('export {};\n', '1.1.0');
+        const { output } = await imara('list');
+        assert.deepEqual(output, ['button@1.1.0  Button  (installed 1.0.0, update available)']);
+    });
+});
+
+describe('imara analyze --check', () => {
+    it('reports a stale custom-elements.json without blaming the JSDoc', async () => {
+        await publish('export {};\n');
+        const { code, output } = await imara('analyze', '--check');
+        assert.equal(code, 1);
+        assert.deepEqual(output, [
+            '  button: custom-elements.json is out of date, run "imara analyze"',
+            'imara: 1 custom-elements.json file is out of date'
+        ]);
+    });
+
+    it('passes once the manifest has been written', async () => {
+        await publish('export {};\n');
+        assert.equal((await imara('analyze')).code, 0);
+        assert.deepEqual(await imara('analyze', '--check'), { code: 0, output: [] });
+    });
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { hashContent } from '../lib/hash.js';
+import { inspectComponent, installComponent } from '../lib/install.js';
+import { LOCKFILE_NAME, readLockfile, writeLockfile } from '../lib/lockfile.js';
+
+let root;
+
+beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'imara-test-'));
+});
+
+afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+});
+
+describe('lockfile', () => {
+    it('reads an empty lockfile when none exists', async () => {
+        assert.deepEqual(await readLockfile(root), { lockfileVersion: 1, components: {} });
+    });
+
+    it('round-trips components sorted by name', async () => {
+        const lock = {
+            lockfileVersion: 1,
+            components: {
+                input: { version: '1.0.0', path: 'components/imara/input', files: { 'index.js': 'sha256-b' } },
+                button: { version: '1.1.0', path: 'components/imara/button', files: { 'index.js': 'sha256-a' } }
+            }
+        };
+        await writeLockfile(root, lock);
+        const source = await readFile(join(root, LOCKFILE_NAME), 'utf8');
+        assert.ok(source.endsWith('\n'));
+        const read = await readLockfile(root);
+        assert.deepEqual(read, lock);
+        assert.deepEqual(Object.keys(read.components), ['button', 'input']);
+    });
+
+    it('rejects invalid JSON and unknown lockfile versions', async () => {
+        await writeFile(join(root, LOCKFILE_NAME), '{');
+        await assert.rejects(readLockfile(root), { name: 'ImaraError', message: /Invalid JSON/ });
+        await writeFile(join(root, LOCKFILE_NAME), JSON.stringify({ lockfileVersion: 99 }));
+        await assert.rejects(readLockfile(root), { name: 'ImaraError', message: /Unsupported lockfile version 99/ });
+    });
+});
+
+describe('installComponent', () => {
+    const content = 'export const button = true;\n';
+    let config;
+    let entry;
+
+    beforeEach(async () => {
+        const registryDir = join(root, 'registry');
+        const projectDir = join(root, 'project');
+        await mkdir(join(registryDir, 'components', 'button', 'dist'), { recursive: true });
+        await mkdir(projectDir);
+        await writeFile(join(registryDir, 'components', 'button', 'dist', 'index.js'), content);
+        config = { projectDir, registryDir, target: 'components/imara', targetDir: join(projectDir, 'components/imara') };
+        entry = { name: 'button', version: '1.0.0', files: ['index.js'], integrity: { 'index.js': hashContent(content) } };
+    });
+
+    it('copies the files and records their hashes in the lockfile', async () => {
+        const lock = await readLockfile(config.projectDir);
+        await installComponent(config, lock, entry);
+        await writeLockfile(config.projectDir, lock);
+        assert.equal(await readFile(join(config.targetDir, 'button', 'index.js'), 'utf8'), content);
+        const read = await readLockfile(config.projectDir);
+        assert.deepEqual(read.components.button, {
+            version: '1.0.0',
+            path: 'components/imara/button',
+            files: { 'index.js': hashContent(content) }
+        });
+        const report = await inspectComponent(config, read, entry);
+        assert.deepEqual(report.files, [{ file: 'index.js', state: 'unchanged' }]);
+    });
+
+    it('refuses registry files whose hash does not match the manifest', async () => {
+        entry.integrity['index.js'] = hashContent('something else');
+        const lock = await readLockfile(config.projectDir);
+        await assert.rejects(installComponent(config, lock, entry), {
+            name: 'ImaraError',
+            message: /Integrity check failed for components\/button\/dist\/index\.js/
+        });
+        assert.deepEqual(lock.components, {});
+        await assert.rejects(readFile(join(config.targetDir, 'button', 'index.js')), { code: 'ENOENT' });
+    });
+
+    it('refuses to overwrite files modified since install unless forced', async () => {
+        const lock = await readLockfile(config.projectDir);
+        await installComponent(config, lock, entry);
+        const installed = join(config.targetDir, 'button', 'index.js');
+        await writeFile(installed, 'local edit\n');
+        await assert.rejects(installComponent(config, lock, entry), {
+            name: 'ImaraError',
+            message: /Refusing to overwrite locally modified files of "button"/
+        });
+        assert.equal(await readFile(installed, 'utf8'), 'local edit\n');
+        await installComponent(config, lock, entry, { force: true });
+        assert.equal(await readFile(installed, 'utf8'), content);
+    });
+});
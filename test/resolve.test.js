@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ImaraError } from '../lib/errors.js';
+import { describeReason, planInstall, resolveDependencies } from '../lib/resolve.js';
+
+function manifest(...components) {
+    return {
+        components: components.map(([name, version, dependencies]) => ({ name, version, dependencies }))
+    };
+}
+
+describe('planInstall', () => {
+    it('orders dependencies before their dependents', () => {
+        const registry = manifest(
+            ['app', '1.0.0', { form: '^1.0.0', button: '^1.0.0' }],
+            ['form', '1.2.0', { button: '^1.0.0' }],
+            ['button', '1.4.0']
+        );
+        const { order, problems } = planInstall(registry, ['app']);
+        assert.deepEqual(problems, []);
+        assert.deepEqual(order.map((item) => item.entry.name), ['button', 'form', 'app']);
+        assert.deepEqual(order.map((item) => item.direct), [false, false, true]);
+        assert.equal(describeReason(order[0]), 'required by form ^1.0.0, app ^1.0.0');
+        assert.equal(describeReason(order[2]), 'requested');
+    });
+
+    it('reports each dependency cycle once', () => {
+        const registry = manifest(
+            ['a', '1.0.0', { b: '^1.0.0' }],
+            ['b', '1.0.0', { c: '^1.0.0' }],
+            ['c', '1.0.0', { a: '^1.0.0' }]
+        );
+        const { problems } = planInstall(registry, ['a', 'b']);
+        assert.deepEqual(problems, ['Dependency cycle: a -> b -> c -> a']);
+    });
+
+    it('reports unknown dependencies, invalid ranges and conflicts', () => {
+        const registry = manifest(
+            ['app', '1.0.0', { missing: '^1.0.0', button: 'latest', icon: '^2.0.0' }],
+            ['button', '1.0.0'],
+            ['icon', '1.3.0']
+        );
+        const { problems } = planInstall(registry, ['app']);
+        assert.deepEqual(problems, [
+            '"app" depends on unknown component "missing"',
+            '"app" declares invalid range "latest" for "button"',
+            'Version conflict: "app" requires icon@^2.0.0, registry has 1.3.0'
+        ]);
+    });
+
+    it('keeps already installed components compatible', () => {
+        const registry = manifest(['button', '2.0.0']);
+        const lock = { components: { group: { version: '1.0.0', dependencies: { button: '^1.0.0' } } } };
+        const { problems } = planInstall(registry, ['button'], lock);
+        assert.deepEqual(problems, ['Version conflict: installed "group" requires button@^1.0.0, registry has 2.0.0']);
+    });
+
+    it('throws for an unknown requested component', () => {
+        assert.throws(() => planInstall(manifest(['button', '1.0.0']), ['card']), {
+            name: 'ImaraError',
+            message: /Unknown component "card"/
+        });
+    });
+});
+
+describe('resolveDependencies', () => {
+    it('throws an ImaraError listing every problem', () => {
+        const registry = manifest(
+            ['a', '1.0.0', { b: '^1.0.0', ghost: '*' }],
+            ['b', '1.0.0', { a: '^1.0.0' }]
+        );
+        assert.throws(() => resolveDependencies(registry, ['a']), (error) => {
+            assert.ok(error instanceof ImaraError);
+            assert.match(error.message, /Dependency cycle: a -> b -> a/);
+            assert.match(error.message, /"a" depends on unknown component "ghost"/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { compareVersions, parseVersion, satisfies, validRange } from '../lib/semver.js';
+
+describe('parseVersion', () => {
+    it('parses releases and pre-releases', () => {
+        assert.deepEqual(parseVersion('1.2.3'), { major: 1, minor: 2, patch: 3, prerelease: [] });
+        assert.deepEqual(parseVersion('v1.2.3-beta.1'), { major: 1, minor: 2, patch: 3, prerelease: ['beta', '1'] });
+    });
+
+    it('rejects partial and malformed versions', () => {
+        assert.equal(parseVersion('1.2'), null);
+        assert.equal(parseVersion('01.2.3'), null);
+        assert.equal(parseVersion('latest'), null);
+    });
+});
+
+describe('compareVersions', () => {
+    it('orders by major, minor and patch', () => {
+        assert.ok(compareVersions('1.2.3', '1.10.0') < 0);
+        assert.ok(compareVersions('2.0.0', '1.99.99') > 0);
+        assert.equal(compareVersions('1.2.3', '1.2.3'), 0);
+    });
+
+    it('sorts a pre-release before its release', () => {
+        assert.ok(compareVersions('1.0.0-alpha', '1.0.0') < 0);
+        assert.ok(compareVersions('1.0.0', '1.0.0-rc.1') > 0);
+    });
+
+    it('compares pre-release identifiers numerically and lexically', () => {
+        const sorted = ['1.0.0-beta.11', '1.0.0-rc.1', '1.0.0-alpha', '1.0.0-beta.2', '1.0.0-alpha.1']
+            .sort(compareVersions);
+        assert.deepEqual(sorted, ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1']);
+    });
+});
+
+describe('satisfies', () => {
+    const cases = [
+        ['1.2.3', '1.2.3', true],
+        ['1.2.4', '1.2.3', false],
+        ['1.9.0', '^1.2.3', true],
+        ['2.0.0', '^1.2.3', false],
+        ['0.2.5', '^0.2.3', true],
+        ['0.3.0', '^0.2.3', false],
+        ['0.0.4', '^0.0.3', false],
+        ['1.2.9', '~1.2.3', true],
+        ['1.3.0', '~1.2.3', false],
+        ['1.5.0', '~1', true],
+        ['1.4.0', '1.x', true],
+        ['2.0.0', '1.x', false],
+        ['3.1.4', '*', true],
+        ['3.1.4', '', true],
+        ['1.2.0', '>=1.2.0 <1.3.0', true],
+        ['1.3.0', '>=1.2.0 <1.3.0', false],
+        ['1.9.9', '<=1.9', true],
+        ['2.0.0', '<=1.9', false],
+        ['1.10.0', '>1.9', true],
+        ['1.9.5', '>1.9', false],
+        ['3.0.0', '^1.0.0 || ^3.0.0', true],
+        ['2.0.0', '^1.0.0 || ^3.0.0', false]
+    ];
+    for (const [version, range, expected] of cases) {
+        it(`${expected ? 'matches' : 'rejects'} ${version} against "${range}"`, () => {
+            assert.equal(satisfies(version, range), expected);
+        });
+    }
+
+    it('matches a pre-release only when the range opts into that release', () => {
+        assert.equal(satisfies('1.2.3-beta.2', '^1.2.3-beta.1'), true);
+        assert.equal(satisfies('1.2.3-alpha', '^1.2.3-beta.1'), false);
+        assert.equal(satisfies('1.3.0-beta.1', '^1.2.3-beta.1'), false);
+        assert.equal(satisfies('2.0.0-beta.1', '^1.0.0'), false);
+        assert.equal(satisfies('1.5.0-rc.1', '*'), false);
+        assert.equal(satisfies('1.2.3', '^1.2.3-beta.1'), true);
+    });
+
+    it('never matches an invalid version or range', () => {
+        assert.equal(satisfies('1.2', '^1.0.0'), false);
+        assert.equal(satisfies('1.2.3', '^one'), false);
+    });
+});
+
+describe('validRange', () => {
+    it('accepts the supported syntax', () => {
+        for (const range of ['1.2.3', '^1.0.0', '~1.2', '1.x', '*', '>= 1.0.0 < 2', '^1 || ^2']) {
+            assert.equal(validRange(range), true, range);
+        }
+    });
+
+    it('rejects anything else', () => {
+        for (const range of ['latest', '^1.0.0.0', '1.2.3 - 2.0.0', '>=a']) {
+            assert.equal(validRange(range), false, range);
+        }
+    });
+});